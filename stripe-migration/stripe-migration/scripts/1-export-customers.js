@@ -4,31 +4,54 @@
  * This script exports all customers from the old Stripe account
  * including their subscriptions and payment methods.
  * 
- * Usage: node 1-export-customers.js
+ * Use --format=ndjson for large accounts: pages are written to
+ * customers-export.ndjson as they arrive instead of being held in memory.
+ * 
+ * Progress is checkpointed after every page: if the export fails part way,
+ * running it again continues from the last completed page. Use --restart
+ * to discard the checkpoint and start over.
+ * 
+ * Usage: node 1-export-customers.js [--format=json|ndjson] [--restart]
  */
 
-import Stripe from 'stripe';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
+import { getOldStripe } from './stripe-clients.js';
+import { createExportWriter } from '../src/exportFiles.js';
 
 dotenv.config();
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const oldStripe = new Stripe(process.env.STRIPE_SECRET_KEY_OLD);
-
-async function exportCustomers() {
+async function exportCustomers(options = {}) {
+    const oldStripe = options.stripe || await getOldStripe();
+    const format = options.format || 'json';
     console.log('Starting customer export...');
 
-    const customers = [];
     let hasMore = true;
     let startingAfter = undefined;
     let pageCount = 0;
+    let customerCount = 0;
+    let withPayment = 0;
 
     try {
+        // Create exports directory if it doesn't exist
+        const exportsDir = path.join(__dirname, '../exports');
+        if (!fs.existsSync(exportsDir)) {
+            fs.mkdirSync(exportsDir, { recursive: true });
+        }
+
+        const writer = createExportWriter(exportsDir, 'customers', format, { resume: !options.restart });
+
+        // Continue from the last completed page of a failed run
+        if (writer.checkpoint) {
+            ({ startingAfter, hasMore, pageCount, count: customerCount, withPayment } = writer.checkpoint);
+            console.log(`Resuming export after ${customerCount} customers (page ${pageCount})...`);
+        }
+
         while (hasMore) {
             pageCount++;
             console.log(`Fetching page ${pageCount}...`);
@@ -39,43 +62,34 @@ async function exportCustomers() {
                 expand: ['data.subscriptions', 'data.default_source']
             });
 
-            customers.push(...response.data);
+            customerCount += response.data.length;
+            withPayment += response.data.filter(c =>
+                c.default_source || c.invoice_settings?.default_payment_method
+            ).length;
             hasMore = response.has_more;
 
             if (hasMore) {
                 startingAfter = response.data[response.data.length - 1].id;
             }
 
-            console.log(`Fetched ${customers.length} customers so far...`);
-        }
+            writer.write(response.data, { startingAfter, hasMore, pageCount, withPayment });
 
-        // Create exports directory if it doesn't exist
-        const exportsDir = path.join(__dirname, '../exports');
-        if (!fs.existsSync(exportsDir)) {
-            fs.mkdirSync(exportsDir, { recursive: true });
+            console.log(`Fetched ${customerCount} customers so far...`);
         }
 
         // Save to file
-        const exportPath = path.join(exportsDir, 'customers-export.json');
-        fs.writeFileSync(
-            exportPath,
-            JSON.stringify(customers, null, 2)
-        );
+        const { file: exportPath, records } = writer.finish();
 
         console.log(`\n✅ Export complete!`);
-        console.log(`Total customers exported: ${customers.length}`);
+        console.log(`Total customers exported: ${customerCount}`);
         console.log(`Export saved to: ${exportPath}`);
 
         // Generate summary
-        const withPayment = customers.filter(c =>
-            c.default_source || c.invoice_settings?.default_payment_method
-        ).length;
-
         console.log(`\nSummary:`);
         console.log(`- Customers with payment methods: ${withPayment}`);
-        console.log(`- Customers without payment methods: ${customers.length - withPayment}`);
+        console.log(`- Customers without payment methods: ${customerCount - withPayment}`);
 
-        return customers;
+        return records || customerCount;
 
     } catch (error) {
         console.error('❌ Error exporting customers:', error.message);
@@ -83,9 +97,28 @@ async function exportCustomers() {
     }
 }
 
+// Parse command line arguments
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const options = {};
+
+    args.forEach(arg => {
+        if (arg.startsWith('--format=')) {
+            options.format = arg.split('=')[1];
+        }
+        if (arg === '--restart') {
+            options.restart = true;
+        }
+    });
+
+    return options;
+}
+
 // Run the export
 if (import.meta.url === `file://${process.argv[1]}`) {
-    exportCustomers()
+    const options = parseArgs();
+
+    exportCustomers(options)
         .then(() => process.exit(0))
         .catch((error) => {
             console.error(error);
@@ -0,0 +1,96 @@
+/**
+ * Verify Migration Script
+ *
+ * This script reconciles the new Stripe account against the exports.
+ * Every customer, product, price and subscription in the migration map is
+ * fetched from the new account and compared field by field with its export.
+ * Exported objects missing from the map and new-account objects with
+ * old_stripe_* metadata but no map entry (orphans) are listed too.
+ *
+ * Usage: node 10-verify-migration.js [--status=active,trialing]
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { getOldStripe, getNewStripe } from './stripe-clients.js';
+import { openMigrationMap } from './migration-map.js';
+import { StripeMigrator } from '../src/StripeMigrator.js';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+async function verifyMigration(options = {}) {
+    const exportsDir = path.join(__dirname, '../exports');
+    console.log('Starting migration verification...');
+
+    try {
+        const migrator = new StripeMigrator({
+            oldStripe: await getOldStripe(),
+            newStripe: options.stripe || await getNewStripe(),
+            exportPath: exportsDir,
+            mapStore: options.mapStore || openMigrationMap(exportsDir)
+        });
+        migrator.on('log', message => console.log(message));
+
+        const report = await migrator.verify({ statusFilter: options.statusFilter });
+
+        console.log('\n' + '='.repeat(60));
+        console.log('RECONCILIATION REPORT');
+        console.log('='.repeat(60));
+
+        for (const [type, summary] of Object.entries(report.summary)) {
+            console.log(`\n${type}:`);
+            console.log(`  Checked: ${summary.checked} (${summary.matched} match, ${summary.mismatched} mismatched)`);
+            console.log(`  Unmapped source objects: ${summary.unmapped}`);
+            console.log(`  Orphans in new account: ${summary.orphans}`);
+        }
+
+        if (report.mismatches.length > 0) {
+            console.log(`\nFirst mismatches:`);
+            report.mismatches.slice(0, 10).forEach(m => {
+                const fields = m.fields.map(f => `${f.field}: ${JSON.stringify(f.expected)} → ${JSON.stringify(f.actual)}`);
+                console.log(`- ${m.oldId} → ${m.newId}: ${fields.join(', ')}`);
+            });
+        }
+
+        console.log('\n' + '='.repeat(60));
+        console.log(`Report saved to: ${path.join(exportsDir, 'reconciliation-report.json')}`);
+
+        return report;
+
+    } catch (error) {
+        console.error('\n❌ Verification failed:', error.message);
+        throw error;
+    }
+}
+
+// Parse command line arguments
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const options = {};
+
+    args.forEach(arg => {
+        if (arg.startsWith('--status=')) {
+            options.statusFilter = arg.split('=')[1].split(',');
+        }
+    });
+
+    return options;
+}
+
+// Run the verification
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const options = parseArgs();
+
+    verifyMigration(options)
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
+}
+
+export { verifyMigration };
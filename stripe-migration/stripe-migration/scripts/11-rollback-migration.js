@@ -0,0 +1,120 @@
+/**
+ * Rollback Migration Script
+ *
+ * This script undoes a migration run in the new Stripe account: it releases
+ * the migrated subscription schedules, cancels the migrated subscriptions,
+ * deletes the migrated customers, archives the migrated prices and products,
+ * and removes their migration map entries.
+ * Only objects whose old_stripe_* metadata matches the map are touched.
+ *
+ * Without --confirm it only lists what would be undone.
+ *
+ * Usage: node 11-rollback-migration.js [--confirm] [--types=subscriptions,customers]
+ *        [--run=<runId>] [--since=2024-01-01] [--until=2024-01-31]
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { getOldStripe, getNewStripe } from './stripe-clients.js';
+import { openMigrationMap } from './migration-map.js';
+import { StripeMigrator } from '../src/StripeMigrator.js';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+async function rollbackMigration(options = {}) {
+    const exportsDir = path.join(__dirname, '../exports');
+
+    for (const [flag, date] of [['--since', options.since], ['--until', options.until]]) {
+        if (date instanceof Date && Number.isNaN(date.getTime())) {
+            throw new Error(`${flag} must be a date, e.g. 2024-01-31`);
+        }
+    }
+
+    console.log(options.confirm ? 'Starting migration rollback...' : 'Previewing migration rollback (pass --confirm to execute)...');
+
+    try {
+        const migrator = new StripeMigrator({
+            oldStripe: await getOldStripe(),
+            newStripe: options.stripe || await getNewStripe(),
+            exportPath: exportsDir,
+            mapStore: options.mapStore || openMigrationMap(exportsDir)
+        });
+        migrator.on('log', message => console.log(message));
+
+        const report = await migrator.rollback({
+            confirm: options.confirm,
+            types: options.types,
+            runId: options.runId,
+            createdAfter: options.since,
+            createdBefore: options.until
+        });
+
+        console.log('\n' + '='.repeat(60));
+        console.log(options.confirm ? 'ROLLBACK SUMMARY' : 'ROLLBACK PREVIEW');
+        console.log('='.repeat(60));
+
+        for (const [type, summary] of Object.entries(report.summary)) {
+            const counts = Object.entries(summary).map(([action, count]) => `${action}: ${count}`);
+            console.log(`${type}: ${counts.join(', ')}`);
+        }
+
+        const skipped = report.actions.filter(a => a.action === 'skip');
+        if (skipped.length > 0) {
+            console.log(`\nSkipped (left in place):`);
+            skipped.slice(0, 10).forEach(a => console.log(`- ${a.oldId} → ${a.newId}: ${a.reason}`));
+        }
+
+        if (report.nextRunId) {
+            console.log(`\nRun ID retired. The next migration run uses ${report.nextRunId}.`);
+        }
+
+        console.log('\n' + '='.repeat(60));
+        console.log(`Report saved to: ${path.join(exportsDir, 'rollback-report.json')}`);
+
+        return report;
+
+    } catch (error) {
+        console.error('\n❌ Rollback failed:', error.message);
+        throw error;
+    }
+}
+
+// Parse command line arguments
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const options = {};
+
+    args.forEach(arg => {
+        if (arg === '--confirm') {
+            options.confirm = true;
+        } else if (arg.startsWith('--types=')) {
+            options.types = arg.split('=')[1].split(',');
+        } else if (arg.startsWith('--run=')) {
+            options.runId = arg.split('=')[1];
+        } else if (arg.startsWith('--since=')) {
+            options.since = new Date(arg.split('=')[1]);
+        } else if (arg.startsWith('--until=')) {
+            options.until = new Date(arg.split('=')[1]);
+        }
+    });
+
+    return options;
+}
+
+// Run the rollback
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const options = parseArgs();
+
+    rollbackMigration(options)
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
+}
+
+export { rollbackMigration };
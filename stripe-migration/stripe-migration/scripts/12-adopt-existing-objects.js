@@ -0,0 +1,94 @@
+/**
+ * Adopt Existing Objects Script
+ *
+ * This script records objects that already exist in the new Stripe account
+ * in the migration map, so the migrate scripts skip them instead of creating
+ * duplicates. Run it after the migration map was lost, or when some customers
+ * were created by hand. Objects are matched by their old_stripe_* metadata
+ * and, with --match-email, customers also by email.
+ *
+ * Usage: node 12-adopt-existing-objects.js [--match-email] [--types=customers,subscriptions]
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { getOldStripe, getNewStripe } from './stripe-clients.js';
+import { openMigrationMap } from './migration-map.js';
+import { StripeMigrator } from '../src/StripeMigrator.js';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+async function adoptExistingObjects(options = {}) {
+    const exportsDir = path.join(__dirname, '../exports');
+    console.log('Searching the new account for already migrated objects...');
+
+    try {
+        const migrator = new StripeMigrator({
+            oldStripe: await getOldStripe(),
+            newStripe: options.stripe || await getNewStripe(),
+            exportPath: exportsDir,
+            mapStore: options.mapStore || openMigrationMap(exportsDir)
+        });
+        migrator.on('log', message => console.log(message));
+
+        const report = await migrator.adopt({ types: options.types, matchEmail: options.matchEmail });
+
+        console.log('\n' + '='.repeat(60));
+        console.log('ADOPTION SUMMARY');
+        console.log('='.repeat(60));
+
+        for (const [type, summary] of Object.entries(report.summary)) {
+            console.log(`${type}: ${summary.adopted} adopted, ${summary.conflicts} conflicts`);
+        }
+
+        if (report.conflicts.length > 0) {
+            console.log(`\nConflicts (resolve by hand, then run again):`);
+            report.conflicts.slice(0, 10).forEach(c => {
+                console.log(`- ${c.oldId} → ${c.newIds.join(', ')}: ${c.reason}`);
+            });
+        }
+
+        console.log('\n' + '='.repeat(60));
+        console.log(`Report saved to: ${path.join(exportsDir, 'adoption-report.json')}`);
+
+        return report;
+
+    } catch (error) {
+        console.error('\n❌ Adoption failed:', error.message);
+        throw error;
+    }
+}
+
+// Parse command line arguments
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const options = {};
+
+    args.forEach(arg => {
+        if (arg === '--match-email') {
+            options.matchEmail = true;
+        } else if (arg.startsWith('--types=')) {
+            options.types = arg.split('=')[1].split(',');
+        }
+    });
+
+    return options;
+}
+
+// Run the adoption
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const options = parseArgs();
+
+    adoptExistingObjects(options)
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
+}
+
+export { adoptExistingObjects };
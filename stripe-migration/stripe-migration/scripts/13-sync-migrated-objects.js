@@ -0,0 +1,86 @@
+/**
+ * Sync Migrated Objects Script
+ *
+ * This script carries edits made in the old Stripe account after the first
+ * migration over to the new account. Run the export scripts (1 and 2) again
+ * first. Already migrated products, prices and customers are compared with
+ * the fresh exports and updated; a price whose amount, currency or interval
+ * changed is replaced by a new price and the old one archived. Objects that
+ * were not migrated yet are created as usual.
+ *
+ * Usage: node 13-sync-migrated-objects.js [--dry-run] [--skip-customers]
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { getOldStripe, getNewStripe } from './stripe-clients.js';
+import { openMigrationMap } from './migration-map.js';
+import { StripeMigrator } from '../src/StripeMigrator.js';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+async function syncMigratedObjects(options = {}) {
+    const exportsDir = path.join(__dirname, '../exports');
+    console.log(`Syncing migrated objects${options.dryRun ? ' (dry run)' : ''}...`);
+
+    try {
+        const migrator = new StripeMigrator({
+            oldStripe: await getOldStripe(),
+            newStripe: options.stripe || await getNewStripe(),
+            exportPath: exportsDir,
+            mapStore: options.mapStore || openMigrationMap(exportsDir),
+            dryRun: options.dryRun
+        });
+        migrator.on('log', message => console.log(message));
+
+        await migrator.migrateProducts({ sync: true });
+        if (!options.skipCustomers) {
+            await migrator.migrateCustomers({ sync: true });
+        }
+
+        const failures = migrator.getFailures();
+        console.log('\n' + '='.repeat(60));
+        console.log(options.dryRun
+            ? `Plan saved to: ${path.join(exportsDir, 'migration-plan.json')}`
+            : `Sync complete. ${failures.length} objects in the failure ledger (failures.json).`);
+        console.log('='.repeat(60));
+
+    } catch (error) {
+        console.error('\n❌ Sync failed:', error.message);
+        throw error;
+    }
+}
+
+// Parse command line arguments
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const options = {};
+
+    args.forEach(arg => {
+        if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg === '--skip-customers') {
+            options.skipCustomers = true;
+        }
+    });
+
+    return options;
+}
+
+// Run the sync
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const options = parseArgs();
+
+    syncMigratedObjects(options)
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
+}
+
+export { syncMigratedObjects };
@@ -0,0 +1,88 @@
+/**
+ * Migrate Subscription Schedules Script
+ *
+ * This script exports the subscription schedules of the old Stripe account
+ * and recreates the ones with phases still ahead (ramp deals, planned plan
+ * changes) in the new account. Run it after 7-migrate-subscriptions.js:
+ * schedules that already started are attached to the migrated subscription,
+ * starting from their current phase. Archived prices that only schedules use
+ * are added to the products export and migrated first.
+ *
+ * Usage: node 14-migrate-subscription-schedules.js [--dry-run] [--skip-export]
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { getOldStripe, getNewStripe } from './stripe-clients.js';
+import { openMigrationMap } from './migration-map.js';
+import { StripeMigrator } from '../src/StripeMigrator.js';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+async function migrateSubscriptionSchedules(options = {}) {
+    const exportsDir = path.join(__dirname, '../exports');
+    console.log(`Migrating subscription schedules${options.dryRun ? ' (dry run)' : ''}...`);
+
+    try {
+        const migrator = new StripeMigrator({
+            oldStripe: await getOldStripe(),
+            newStripe: options.stripe || await getNewStripe(),
+            exportPath: exportsDir,
+            mapStore: options.mapStore || openMigrationMap(exportsDir),
+            dryRun: options.dryRun
+        });
+        migrator.on('log', message => console.log(message));
+
+        if (!options.skipExport) {
+            await migrator.exportSubscriptionSchedules();
+            await migrator.migrateProducts();
+        }
+        await migrator.migrateSubscriptionSchedules();
+
+        const migrationMap = migrator.getMigrationMap();
+        const failures = migrator.getFailures({ type: 'subscriptionSchedules' });
+        console.log('\n' + '='.repeat(60));
+        console.log(options.dryRun
+            ? `Plan saved to: ${path.join(exportsDir, 'migration-plan.json')}`
+            : `Schedules migrated: ${migrationMap.count('subscriptionSchedules')}. ${failures.length} failed (failures.json).`);
+        console.log('='.repeat(60));
+
+    } catch (error) {
+        console.error('\n❌ Schedule migration failed:', error.message);
+        throw error;
+    }
+}
+
+// Parse command line arguments
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const options = {};
+
+    args.forEach(arg => {
+        if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg === '--skip-export') {
+            options.skipExport = true;
+        }
+    });
+
+    return options;
+}
+
+// Run the migration
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const options = parseArgs();
+
+    migrateSubscriptionSchedules(options)
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
+}
+
+export { migrateSubscriptionSchedules };
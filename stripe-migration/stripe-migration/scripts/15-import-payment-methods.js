@@ -0,0 +1,87 @@
+/**
+ * Import Payment Methods Script
+ *
+ * When Stripe copies payment data (PAN copy) from the old account to the new
+ * one, it hands back a file mapping old to new customer and payment method
+ * IDs, as JSON or CSV. This script records those payment methods in the
+ * migration map and sets each copied default payment method as
+ * `invoice_settings.default_payment_method` of the new customer. Run it after
+ * 1-export-customers.js and before 7-migrate-subscriptions.js: paid
+ * subscriptions of these customers are then created active instead of
+ * incomplete, and 8-generate-payment-links.js skips them.
+ *
+ * Usage: node 15-import-payment-methods.js --file=<mapping.json|mapping.csv> [--dry-run]
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { getOldStripe, getNewStripe } from './stripe-clients.js';
+import { openMigrationMap } from './migration-map.js';
+import { StripeMigrator } from '../src/StripeMigrator.js';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+async function importPaymentMethods(options = {}) {
+    const exportsDir = path.join(__dirname, '../exports');
+    console.log(`Importing payment method mapping ${options.file}${options.dryRun ? ' (dry run)' : ''}...`);
+
+    try {
+        const migrator = new StripeMigrator({
+            oldStripe: await getOldStripe(),
+            newStripe: options.stripe || await getNewStripe(),
+            exportPath: exportsDir,
+            mapStore: options.mapStore || openMigrationMap(exportsDir),
+            paymentMethodMapping: options.file,
+            dryRun: options.dryRun
+        });
+        migrator.on('log', message => console.log(message));
+
+        await migrator.importPaymentMethods();
+
+        const migrationMap = migrator.getMigrationMap();
+        const failures = migrator.getFailures({ type: 'paymentMethods' });
+        console.log('\n' + '='.repeat(60));
+        console.log(options.dryRun
+            ? `Plan saved to: ${path.join(exportsDir, 'migration-plan.json')}`
+            : `Payment methods imported: ${migrationMap.count('paymentMethods')}. Customer defaults set: ${migrationMap.count('defaultPaymentMethods')}. ${failures.length} failed (failures.json).`);
+        console.log('='.repeat(60));
+
+    } catch (error) {
+        console.error('\n❌ Payment method import failed:', error.message);
+        throw error;
+    }
+}
+
+// Parse command line arguments
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const options = {};
+
+    args.forEach(arg => {
+        if (arg.startsWith('--file=')) {
+            options.file = path.resolve(arg.split('=')[1]);
+        } else if (arg === '--dry-run') {
+            options.dryRun = true;
+        }
+    });
+
+    return options;
+}
+
+// Run the import
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const options = parseArgs();
+
+    importPaymentMethods(options)
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
+}
+
+export { importPaymentMethods };
@@ -0,0 +1,102 @@
+/**
+ * Cutover Subscriptions Script
+ *
+ * This script cancels the old-account subscriptions whose migrated copy is
+ * ready to bill (active or trialing, with a payment method unless free), so
+ * customers are not charged in both accounts. Subscriptions whose new side is
+ * not ready are left alone and listed with the reason. By default the old
+ * subscription runs out its current period; with --immediately it is canceled
+ * now, without proration or a final invoice.
+ *
+ * Without --confirm it only lists what would be canceled.
+ *
+ * Usage: node 16-cutover-subscriptions.js [--confirm] [--immediately]
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { getOldStripe, getNewStripe } from './stripe-clients.js';
+import { openMigrationMap } from './migration-map.js';
+import { StripeMigrator } from '../src/StripeMigrator.js';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+async function cutoverSubscriptions(options = {}) {
+    const exportsDir = path.join(__dirname, '../exports');
+    console.log(options.confirm ? 'Starting cutover...' : 'Previewing cutover (pass --confirm to execute)...');
+
+    try {
+        const migrator = new StripeMigrator({
+            oldStripe: options.oldStripe || await getOldStripe(),
+            newStripe: options.stripe || await getNewStripe(),
+            exportPath: exportsDir,
+            mapStore: options.mapStore || openMigrationMap(exportsDir)
+        });
+        migrator.on('log', message => console.log(message));
+
+        const report = await migrator.cutover({
+            confirm: options.confirm,
+            cancelAt: options.immediately ? 'immediately' : 'period_end'
+        });
+
+        console.log('\n' + '='.repeat(60));
+        console.log(options.confirm ? 'CUTOVER SUMMARY' : 'CUTOVER PREVIEW');
+        console.log('='.repeat(60));
+        console.log(`Canceled now: ${report.summary.cancel}`);
+        console.log(`Canceled at period end: ${report.summary.cancel_at_period_end}`);
+        console.log(`Not ready (left in place): ${report.summary.skip}`);
+        console.log(`Errors: ${report.summary.error}`);
+
+        const skipped = report.actions.filter(a => a.action === 'skip');
+        if (skipped.length > 0) {
+            console.log(`\nNot ready:`);
+            skipped.slice(0, 10).forEach(a => console.log(`- ${a.oldId} → ${a.newId}: ${a.reason}`));
+            if (skipped.length > 10) {
+                console.log(`... and ${skipped.length - 10} more`);
+            }
+        }
+
+        console.log('\n' + '='.repeat(60));
+        console.log(`Report saved to: ${path.join(exportsDir, 'cutover-report.json')}`);
+
+        return report;
+
+    } catch (error) {
+        console.error('\n❌ Cutover failed:', error.message);
+        throw error;
+    }
+}
+
+// Parse command line arguments
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const options = {};
+
+    args.forEach(arg => {
+        if (arg === '--confirm') {
+            options.confirm = true;
+        } else if (arg === '--immediately') {
+            options.immediately = true;
+        }
+    });
+
+    return options;
+}
+
+// Run the cutover
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const options = parseArgs();
+
+    cutoverSubscriptions(options)
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
+}
+
+export { cutoverSubscriptions };
@@ -0,0 +1,107 @@
+/**
+ * Detect Double Billing Script
+ *
+ * This script finds migrated customers who have a live paid subscription
+ * (active or trialing) in both the old and the new account, and flags the
+ * ones whose next invoices in both accounts are due within the next N days
+ * (7 by default). Run it daily during the transition window and cut them
+ * over (16-cutover-subscriptions.js) before either account charges.
+ *
+ * Usage: node 17-detect-double-billing.js [--days=7]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { getOldStripe, getNewStripe } from './stripe-clients.js';
+import { openMigrationMap } from './migration-map.js';
+import { StripeMigrator } from '../src/StripeMigrator.js';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const formatDate = timestamp => timestamp ? new Date(timestamp * 1000).toISOString() : '';
+
+async function detectDoubleBilling(options = {}) {
+    const exportsDir = path.join(__dirname, '../exports');
+
+    try {
+        const migrator = new StripeMigrator({
+            oldStripe: options.oldStripe || await getOldStripe(),
+            newStripe: options.stripe || await getNewStripe(),
+            exportPath: exportsDir,
+            mapStore: options.mapStore || openMigrationMap(exportsDir)
+        });
+        migrator.on('log', message => console.log(message));
+
+        const report = await migrator.detectDoubleBilling({ withinDays: options.days });
+
+        // Save CSV for the support team
+        const csvPath = path.join(exportsDir, 'double-billing.csv');
+        const csvHeader = 'Email,Old Customer ID,New Customer ID,Old Subscriptions,New Subscriptions,Old Invoice Due,Old Amount,New Invoice Due,New Amount,Due In Both,Error\n';
+        const csvRows = report.customers.map(c =>
+            `"${c.email || ''}","${c.oldCustomerId}","${c.newCustomerId}","${c.oldSubscriptions.map(s => s.id).join(' ')}","${c.newSubscriptions.map(s => s.id).join(' ')}","${formatDate(c.oldInvoice?.dueAt)}","${c.oldInvoice?.formattedAmount || ''}","${formatDate(c.newInvoice?.dueAt)}","${c.newInvoice?.formattedAmount || ''}","${c.dueInBoth ? 'yes' : 'no'}","${c.error || ''}"`
+        ).join('\n');
+        fs.writeFileSync(csvPath, csvHeader + csvRows);
+
+        console.log('\n' + '='.repeat(60));
+        console.log('DOUBLE BILLING REPORT');
+        console.log('='.repeat(60));
+        console.log(`Customers checked: ${report.summary.customersChecked}`);
+        console.log(`Paid subscriptions in both accounts: ${report.summary.billedInBoth}`);
+        console.log(`Invoices due in both within ${report.withinDays} days: ${report.summary.dueInBoth}`);
+        console.log(`Could not be checked: ${report.summary.errors}`);
+
+        const urgent = report.customers.filter(c => c.dueInBoth);
+        if (urgent.length > 0) {
+            console.log(`\n⚠️  ACTION REQUIRED:`);
+            urgent.slice(0, 10).forEach((c, i) => {
+                console.log(`${i + 1}. ${c.email || c.newCustomerId} - old: ${c.oldInvoice.formattedAmount} on ${new Date(c.oldInvoice.dueAt * 1000).toLocaleDateString()}, new: ${c.newInvoice.formattedAmount} on ${new Date(c.newInvoice.dueAt * 1000).toLocaleDateString()}`);
+            });
+            if (urgent.length > 10) {
+                console.log(`... and ${urgent.length - 10} more`);
+            }
+        }
+
+        console.log('\n' + '='.repeat(60));
+        console.log(`Report saved to: ${path.join(exportsDir, 'double-billing-report.json')}`);
+        console.log(`CSV: ${csvPath}`);
+
+        return report;
+
+    } catch (error) {
+        console.error('\n❌ Double billing check failed:', error.message);
+        throw error;
+    }
+}
+
+// Parse command line arguments
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const options = {};
+
+    args.forEach(arg => {
+        if (arg.startsWith('--days=')) {
+            options.days = Number(arg.split('=')[1]);
+        }
+    });
+
+    return options;
+}
+
+// Run the check
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const options = parseArgs();
+
+    detectDoubleBilling(options)
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
+}
+
+export { detectDoubleBilling };
@@ -2,54 +2,126 @@
  * Export Products and Prices Script
  * 
  * This script exports all products and their associated prices
- * from the old Stripe account.
+ * from the old Stripe account, including archived prices that live
+ * subscriptions still use. Tax rates and billing meters are exported
+ * alongside them.
  * 
  * Usage: node 2-export-products.js
  */
 
-import Stripe from 'stripe';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
+import { getOldStripe } from './stripe-clients.js';
+import { findExportFile, readExport } from '../src/exportFiles.js';
+import { PRICE_EXPAND } from '../src/catalog.js';
+import { formatAmount } from '../src/money.js';
 
 dotenv.config();
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const oldStripe = new Stripe(process.env.STRIPE_SECRET_KEY_OLD);
+async function listAll(resource, params) {
+    const objects = [];
+    let hasMore = true;
+    let startingAfter = undefined;
 
-async function exportProducts() {
+    while (hasMore) {
+        const response = await resource.list({
+            ...params,
+            limit: 100,
+            starting_after: startingAfter
+        });
+
+        objects.push(...response.data);
+        hasMore = response.has_more;
+
+        if (hasMore) {
+            startingAfter = response.data[response.data.length - 1].id;
+        }
+    }
+
+    return objects;
+}
+
+/**
+ * Add archived prices still used by live subscriptions, and archived products
+ * owning any exported price. Both are listed under `archived` so they are
+ * recreated as archived in the new account. `subscriptions` may be an array
+ * or a stream from readExport().
+ */
+async function addReferencedProducts(oldStripe, exportData, subscriptions) {
+    if (!exportData.archived) {
+        exportData.archived = { products: [], prices: [] };
+    }
+
+    const priceIds = new Set(exportData.prices.map(p => p.id));
+
+    for await (const sub of subscriptions) {
+        if (sub.status === 'canceled' || sub.status === 'incomplete_expired') continue;
+
+        for (const item of sub.items.data) {
+            if (priceIds.has(item.price.id)) continue;
+
+            const price = await oldStripe.prices.retrieve(item.price.id, { expand: PRICE_EXPAND });
+            exportData.prices.push(price);
+            exportData.archived.prices.push(price.id);
+            priceIds.add(price.id);
+            console.log(`Including archived price ${price.id} (used by ${sub.id})`);
+        }
+    }
+
+    const productIds = new Set(exportData.products.map(p => p.id));
+
+    for (const price of exportData.prices) {
+        if (productIds.has(price.product)) continue;
+
+        const product = await oldStripe.products.retrieve(price.product);
+        exportData.products.push(product);
+        exportData.archived.products.push(product.id);
+        productIds.add(product.id);
+        console.log(`Including archived product ${product.name} (owns ${price.id})`);
+    }
+
+    return exportData;
+}
+
+async function exportProducts(options = {}) {
+    const oldStripe = options.stripe || await getOldStripe();
     console.log('Starting products and prices export...');
 
     try {
         // Export all products
         console.log('Fetching products...');
-        const products = await oldStripe.products.list({
-            limit: 100,
-            active: true
-        });
+        const products = await listAll(oldStripe.products, { active: true });
 
-        console.log(`Found ${products.data.length} active products`);
+        console.log(`Found ${products.length} active products`);
 
         // Export all prices
         console.log('Fetching prices...');
-        const prices = await oldStripe.prices.list({
-            limit: 100,
-            active: true
-        });
+        // Tiers and currency options are only returned when expanded
+        const prices = await listAll(oldStripe.prices, { active: true, expand: PRICE_EXPAND.map(field => `data.${field}`) });
 
-        console.log(`Found ${prices.data.length} active prices`);
+        console.log(`Found ${prices.length} active prices`);
 
         const exportData = {
-            products: products.data,
-            prices: prices.data,
+            products,
+            prices,
+            archived: { products: [], prices: [] },
             exportDate: new Date().toISOString()
         };
 
-        // Create exports directory if it doesn't exist
+        // Include archived prices still used by subscriptions (if already exported)
         const exportsDir = path.join(__dirname, '../exports');
+        if (findExportFile(exportsDir, 'subscriptions')) {
+            await addReferencedProducts(oldStripe, exportData, readExport(exportsDir, 'subscriptions'));
+        }
+
+        console.log(`Archived prices still in use: ${exportData.archived.prices.length}`);
+
+        // Create exports directory if it doesn't exist
         if (!fs.existsSync(exportsDir)) {
             fs.mkdirSync(exportsDir, { recursive: true });
         }
@@ -61,16 +133,43 @@ async function exportProducts() {
             JSON.stringify(exportData, null, 2)
         );
 
+        // Export tax rates (subscriptions reference them by ID)
+        console.log('Fetching tax rates...');
+        const taxRates = await listAll(oldStripe.taxRates, {});
+        const taxRatesPath = path.join(exportsDir, 'tax-rates-export.json');
+        fs.writeFileSync(
+            taxRatesPath,
+            JSON.stringify({ taxRates, exportDate: exportData.exportDate }, null, 2)
+        );
+
+        console.log(`Found ${taxRates.length} tax rates`);
+
+        // Export billing meters (metered prices report usage to them)
+        console.log('Fetching billing meters...');
+        const meters = await listAll(oldStripe.billing.meters, {});
+        const metersPath = path.join(exportsDir, 'meters-export.json');
+        fs.writeFileSync(
+            metersPath,
+            JSON.stringify({ meters, exportDate: exportData.exportDate }, null, 2)
+        );
+
+        console.log(`Found ${meters.length} billing meters`);
+
         console.log(`\n✅ Export complete!`);
         console.log(`Export saved to: ${exportPath}`);
+        console.log(`Tax rates saved to: ${taxRatesPath}`);
+        console.log(`Billing meters saved to: ${metersPath}`);
 
         // Generate summary
         console.log(`\nProduct Summary:`);
-        products.data.forEach(product => {
-            const productPrices = prices.data.filter(p => p.product === product.id);
-            console.log(`- ${product.name}: ${productPrices.length} price(s)`);
+        exportData.products.forEach(product => {
+            const productPrices = exportData.prices.filter(p => p.product === product.id);
+            const archivedLabel = exportData.archived.products.includes(product.id) ? ' (archived)' : '';
+            console.log(`- ${product.name}${archivedLabel}: ${productPrices.length} price(s)`);
             productPrices.forEach(price => {
-                const amount = price.unit_amount ? `$${(price.unit_amount / 100).toFixed(2)}` : 'Tiered';
+                const amount = price.billing_scheme === 'tiered'
+                    ? 'Tiered'
+                    : price.custom_unit_amount ? 'Customer chooses' : formatAmount(Number(price.unit_amount_decimal), price.currency);
                 const interval = price.recurring ? `/${price.recurring.interval}` : 'one-time';
                 console.log(`  - ${price.nickname || price.id}: ${amount}${interval}`);
             });
@@ -94,4 +193,4 @@ if (import.meta.url === `file://${process.argv[1]}`) {
         });
 }
 
-export { exportProducts };
+export { exportProducts, addReferencedProducts };
@@ -4,31 +4,65 @@
  * This script exports all subscriptions from the old Stripe account
  * with full details including items and pricing.
  * 
- * Usage: node 3-export-subscriptions.js
+ * Use --format=ndjson for large accounts: pages are written to
+ * subscriptions-export.ndjson as they arrive instead of being held in memory.
+ * 
+ * Progress is checkpointed after every page: if the export fails part way,
+ * running it again continues from the last completed page. Use --restart
+ * to discard the checkpoint and start over.
+ * 
+ * Usage: node 3-export-subscriptions.js [--format=json|ndjson] [--restart]
  */
 
-import Stripe from 'stripe';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
+import { getOldStripe } from './stripe-clients.js';
+import { addReferencedProducts } from './2-export-products.js';
+import { createExportWriter, readExport } from '../src/exportFiles.js';
 
 dotenv.config();
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const oldStripe = new Stripe(process.env.STRIPE_SECRET_KEY_OLD);
-
-async function exportSubscriptions() {
+async function exportSubscriptions(options = {}) {
+    const oldStripe = options.stripe || await getOldStripe();
+    const format = options.format || 'json';
     console.log('Starting subscriptions export...');
 
-    const subscriptions = [];
     let hasMore = true;
     let startingAfter = undefined;
     let pageCount = 0;
+    let subscriptionCount = 0;
+    let withAddons = 0;
+
+    let statusCounts = {
+        active: 0,
+        trialing: 0,
+        past_due: 0,
+        canceled: 0,
+        unpaid: 0,
+        incomplete: 0,
+        incomplete_expired: 0
+    };
 
     try {
+        // Create exports directory if it doesn't exist
+        const exportsDir = path.join(__dirname, '../exports');
+        if (!fs.existsSync(exportsDir)) {
+            fs.mkdirSync(exportsDir, { recursive: true });
+        }
+
+        const writer = createExportWriter(exportsDir, 'subscriptions', format, { resume: !options.restart });
+
+        // Continue from the last completed page of a failed run
+        if (writer.checkpoint) {
+            ({ startingAfter, hasMore, pageCount, count: subscriptionCount, statusCounts, withAddons } = writer.checkpoint);
+            console.log(`Resuming export after ${subscriptionCount} subscriptions (page ${pageCount})...`);
+        }
+
         while (hasMore) {
             pageCount++;
             console.log(`Fetching page ${pageCount}...`);
@@ -40,50 +74,45 @@ async function exportSubscriptions() {
                 expand: ['data.items.data.price.product']
             });
 
-            subscriptions.push(...response.data);
+            subscriptionCount += response.data.length;
+
+            response.data.forEach(sub => {
+                if (statusCounts.hasOwnProperty(sub.status)) {
+                    statusCounts[sub.status]++;
+                }
+                if (sub.items.data.length > 1) {
+                    withAddons++;
+                }
+            });
+
             hasMore = response.has_more;
 
             if (hasMore) {
                 startingAfter = response.data[response.data.length - 1].id;
             }
 
-            console.log(`Fetched ${subscriptions.length} subscriptions so far...`);
-        }
+            writer.write(response.data, { startingAfter, hasMore, pageCount, statusCounts, withAddons });
 
-        // Create exports directory if it doesn't exist
-        const exportsDir = path.join(__dirname, '../exports');
-        if (!fs.existsSync(exportsDir)) {
-            fs.mkdirSync(exportsDir, { recursive: true });
+            console.log(`Fetched ${subscriptionCount} subscriptions so far...`);
         }
 
         // Save to file
-        const exportPath = path.join(exportsDir, 'subscriptions-export.json');
-        fs.writeFileSync(
-            exportPath,
-            JSON.stringify(subscriptions, null, 2)
-        );
+        const { file: exportPath, records } = writer.finish();
 
         console.log(`\n✅ Export complete!`);
-        console.log(`Total subscriptions exported: ${subscriptions.length}`);
+        console.log(`Total subscriptions exported: ${subscriptionCount}`);
         console.log(`Export saved to: ${exportPath}`);
 
-        // Generate summary by status
-        const statusCounts = {
-            active: 0,
-            trialing: 0,
-            past_due: 0,
-            canceled: 0,
-            unpaid: 0,
-            incomplete: 0,
-            incomplete_expired: 0
-        };
-
-        subscriptions.forEach(sub => {
-            if (statusCounts.hasOwnProperty(sub.status)) {
-                statusCounts[sub.status]++;
-            }
-        });
+        // Backfill archived prices into the products export
+        const productsPath = path.join(exportsDir, 'products-export.json');
+        if (fs.existsSync(productsPath)) {
+            const productsData = JSON.parse(fs.readFileSync(productsPath));
+            await addReferencedProducts(oldStripe, productsData, records || readExport(exportsDir, 'subscriptions'));
+            fs.writeFileSync(productsPath, JSON.stringify(productsData, null, 2));
+            console.log(`Archived prices in products export: ${productsData.archived.prices.length}`);
+        }
 
+        // Generate summary by status
         console.log(`\nSubscription Status Summary:`);
         Object.entries(statusCounts).forEach(([status, count]) => {
             if (count > 0) {
@@ -91,11 +120,10 @@ async function exportSubscriptions() {
             }
         });
 
-        // Count subscriptions with add-ons
-        const withAddons = subscriptions.filter(s => s.items.data.length > 1).length;
+        // Subscriptions with add-ons
         console.log(`\nSubscriptions with add-ons: ${withAddons}`);
 
-        return subscriptions;
+        return records || subscriptionCount;
 
     } catch (error) {
         console.error('❌ Error exporting subscriptions:', error.message);
@@ -103,9 +131,28 @@ async function exportSubscriptions() {
     }
 }
 
+// Parse command line arguments
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const options = {};
+
+    args.forEach(arg => {
+        if (arg.startsWith('--format=')) {
+            options.format = arg.split('=')[1];
+        }
+        if (arg === '--restart') {
+            options.restart = true;
+        }
+    });
+
+    return options;
+}
+
 // Run the export
 if (import.meta.url === `file://${process.argv[1]}`) {
-    exportSubscriptions()
+    const options = parseArgs();
+
+    exportSubscriptions(options)
         .then(() => process.exit(0))
         .catch((error) => {
             console.error(error);
@@ -2,7 +2,9 @@
  * Analyze Exported Data Script
  * 
  * This script analyzes the exported data and generates a comprehensive
- * migration analysis report.
+ * migration analysis report. Customer and subscription exports are read as
+ * a stream, so NDJSON exports of large accounts are supported. Amounts are
+ * totaled per currency.
  * 
  * Usage: node 4-analyze-data.js
  */
@@ -10,45 +12,83 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { readExport } from '../src/exportFiles.js';
+import { addToTotals, formatAmount, formatTotals, monthlyAmount, totalsReport } from '../src/money.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-function analyzeData() {
+async function analyzeData() {
     console.log('Starting data analysis...');
 
     try {
         const exportsDir = path.join(__dirname, '../exports');
 
         // Load exported data
-        const customers = JSON.parse(
-            fs.readFileSync(path.join(exportsDir, 'customers-export.json'))
-        );
-        const subscriptions = JSON.parse(
-            fs.readFileSync(path.join(exportsDir, 'subscriptions-export.json'))
-        );
         const { products, prices } = JSON.parse(
             fs.readFileSync(path.join(exportsDir, 'products-export.json'))
         );
 
-        // Analyze customers
-        const customersWithPaymentMethods = customers.filter(c =>
-            c.default_source || c.invoice_settings?.default_payment_method
-        ).length;
+        // Analyze customers (streamed)
+        let totalCustomers = 0;
+        let customersWithPaymentMethods = 0;
+
+        for await (const c of readExport(exportsDir, 'customers')) {
+            totalCustomers++;
+            if (c.default_source || c.invoice_settings?.default_payment_method) {
+                customersWithPaymentMethods++;
+            }
+        }
 
-        const customersWithoutPaymentMethods = customers.length - customersWithPaymentMethods;
+        const customersWithoutPaymentMethods = totalCustomers - customersWithPaymentMethods;
 
-        // Analyze subscriptions by status
+        // Analyze subscriptions (streamed)
         const subscriptionsByStatus = {
-            active: subscriptions.filter(s => s.status === 'active').length,
-            trialing: subscriptions.filter(s => s.status === 'trialing').length,
-            past_due: subscriptions.filter(s => s.status === 'past_due').length,
-            canceled: subscriptions.filter(s => s.status === 'canceled').length,
-            unpaid: subscriptions.filter(s => s.status === 'unpaid').length,
-            incomplete: subscriptions.filter(s => s.status === 'incomplete').length,
-            incomplete_expired: subscriptions.filter(s => s.status === 'incomplete_expired').length
+            active: 0,
+            trialing: 0,
+            past_due: 0,
+            canceled: 0,
+            unpaid: 0,
+            incomplete: 0,
+            incomplete_expired: 0
         };
 
+        let totalSubscriptions = 0;
+        let freeSubscriptions = 0;
+        let paidSubscriptions = 0;
+        let activePaidSubscriptions = 0;
+        let subscriptionsWithAddons = 0;
+        const monthlyRecurring = {};
+
+        for await (const s of readExport(exportsDir, 'subscriptions')) {
+            totalSubscriptions++;
+
+            if (subscriptionsByStatus.hasOwnProperty(s.status)) {
+                subscriptionsByStatus[s.status]++;
+            }
+
+            // Identify free vs paid subscriptions
+            if (s.items.data.every(item => item.price.unit_amount === 0)) {
+                freeSubscriptions++;
+            }
+
+            if (s.items.data.some(item => item.price.unit_amount > 0)) {
+                paidSubscriptions++;
+
+                if (s.status === 'active' || s.status === 'trialing') {
+                    activePaidSubscriptions++;
+
+                    const { currency, amount } = monthlyAmount(s);
+                    addToTotals(monthlyRecurring, currency, amount);
+                }
+            }
+
+            // Count subscriptions with add-ons
+            if (s.items.data.length > 1) {
+                subscriptionsWithAddons++;
+            }
+        }
+
         // Analyze products and prices
         const productAnalysis = products.map(p => {
             const productPrices = prices.filter(pr => pr.product === p.id);
@@ -66,46 +106,38 @@ function analyzeData() {
                     nickname: pr.nickname,
                     amount: pr.unit_amount,
                     currency: pr.currency,
+                    formattedAmount: pr.unit_amount === null ? null : formatAmount(pr.unit_amount, pr.currency),
                     recurring: pr.recurring ? `${pr.recurring.interval}` : 'one-time',
                     isFree: pr.unit_amount === 0
                 }))
             };
         });
 
-        // Identify free vs paid subscriptions
-        const freeSubscriptions = subscriptions.filter(s =>
-            s.items.data.every(item => item.price.unit_amount === 0)
-        );
-
-        const paidSubscriptions = subscriptions.filter(s =>
-            s.items.data.some(item => item.price.unit_amount > 0)
-        );
-
-        // Count subscriptions with add-ons
-        const subscriptionsWithAddons = subscriptions.filter(s =>
-            s.items.data.length > 1
-        ).length;
-
         // Build comprehensive analysis
         const analysis = {
             generatedAt: new Date().toISOString(),
 
             customerSummary: {
-                totalCustomers: customers.length,
+                totalCustomers,
                 customersWithPaymentMethods,
                 customersWithoutPaymentMethods,
-                percentageWithPayment: ((customersWithPaymentMethods / customers.length) * 100).toFixed(2) + '%'
+                percentageWithPayment: ((customersWithPaymentMethods / totalCustomers) * 100).toFixed(2) + '%'
             },
 
             subscriptionSummary: {
-                totalSubscriptions: subscriptions.length,
+                totalSubscriptions,
                 byStatus: subscriptionsByStatus,
-                freeSubscriptions: freeSubscriptions.length,
-                paidSubscriptions: paidSubscriptions.length,
+                freeSubscriptions,
+                paidSubscriptions,
                 subscriptionsWithAddons,
                 activeSubscriptionsToMigrate: subscriptionsByStatus.active + subscriptionsByStatus.trialing
             },
 
+            // Active and trialing paid subscriptions, per currency
+            revenueSummary: {
+                monthlyRecurringByCurrency: totalsReport(monthlyRecurring)
+            },
+
             productSummary: {
                 totalProducts: products.length,
                 totalPrices: prices.length,
@@ -113,20 +145,16 @@ function analyzeData() {
             },
 
             migrationEstimate: {
-                customersToMigrate: customers.length,
+                customersToMigrate: totalCustomers,
                 activeSubscriptionsToMigrate: subscriptionsByStatus.active + subscriptionsByStatus.trialing,
-                customersNeedingPaymentUpdate: paidSubscriptions.filter(s =>
-                    s.status === 'active' || s.status === 'trialing'
-                ).length,
+                customersNeedingPaymentUpdate: activePaidSubscriptions,
                 estimatedTimeWeeks: 12,
                 estimatedHours: '130-185'
             },
 
             riskAssessment: {
-                highRiskCustomers: paidSubscriptions.filter(s =>
-                    s.status === 'active' || s.status === 'trialing'
-                ).length,
-                lowRiskCustomers: freeSubscriptions.length,
+                highRiskCustomers: activePaidSubscriptions,
+                lowRiskCustomers: freeSubscriptions,
                 complexSubscriptions: subscriptionsWithAddons
             }
         };
@@ -152,10 +180,13 @@ function analyzeData() {
         console.log(`Total Subscriptions: ${analysis.subscriptionSummary.totalSubscriptions}`);
         console.log(`Active: ${subscriptionsByStatus.active}`);
         console.log(`Trialing: ${subscriptionsByStatus.trialing}`);
-        console.log(`Free Subscriptions: ${freeSubscriptions.length}`);
-        console.log(`Paid Subscriptions: ${paidSubscriptions.length}`);
+        console.log(`Free Subscriptions: ${freeSubscriptions}`);
+        console.log(`Paid Subscriptions: ${paidSubscriptions}`);
         console.log(`With Add-ons: ${subscriptionsWithAddons}`);
 
+        console.log('\n💰 MONTHLY RECURRING REVENUE (active paid subscriptions):');
+        formatTotals(monthlyRecurring).forEach(line => console.log(line));
+
         console.log('\n📦 PRODUCT SUMMARY:');
         console.log(`Total Products: ${products.length}`);
         console.log(`Total Prices: ${prices.length}`);
@@ -186,7 +217,12 @@ function analyzeData() {
 
 // Run the analysis
 if (import.meta.url === `file://${process.argv[1]}`) {
-    analyzeData();
+    analyzeData()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
 }
 
 export { analyzeData };
@@ -1,41 +1,69 @@
 /**
  * Migrate Products and Prices Script
  * 
- * This script creates all products and prices in the new Stripe account
- * and maintains a mapping between old and new IDs.
+ * This script creates all billing meters, products and prices in the new
+ * Stripe account and maintains a mapping between old and new IDs.
  * 
  * Usage: node 5-migrate-products.js
  */
 
-import Stripe from 'stripe';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
+import { getNewStripe } from './stripe-clients.js';
+import { openMigrationMap } from './migration-map.js';
+import { pricePayload, productPayload } from '../src/catalog.js';
+import { loadRunId } from '../src/exportFiles.js';
+import { meterPayload } from '../src/usage.js';
+import { formatAmount } from '../src/money.js';
 
 dotenv.config();
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const newStripe = new Stripe(process.env.STRIPE_SECRET_KEY_NEW);
-
-async function migrateProducts() {
+async function migrateProducts(options = {}) {
+    const newStripe = options.stripe || await getNewStripe();
     console.log('Starting product and price migration...');
 
     try {
         const exportsDir = path.join(__dirname, '../exports');
-        const { products, prices } = JSON.parse(
+        const { products, prices, archived = { products: [] } } = JSON.parse(
             fs.readFileSync(path.join(exportsDir, 'products-export.json'))
         );
 
         // Load or create migration map
-        const mapPath = path.join(exportsDir, 'migration-map.json');
-        let migrationMap = { products: {}, prices: {} };
+        const migrationMap = options.mapStore || openMigrationMap(exportsDir);
+
+        // Creates are keyed by run and old ID, so a rerun gets back what a crashed run created,
+        // and tagged with the run for 11-rollback-migration.js --run
+        const runId = loadRunId(exportsDir, options.runId);
+        const idempotent = oldId => ({ idempotencyKey: `migrate:${runId}:${oldId}` });
+
+        // Migrate billing meters first: metered prices point at them
+        const metersPath = path.join(exportsDir, 'meters-export.json');
+        if (fs.existsSync(metersPath)) {
+            const { meters } = JSON.parse(fs.readFileSync(metersPath));
+            console.log(`\n📏 Migrating ${meters.length} billing meters...`);
+
+            for (const oldMeter of meters) {
+                if (migrationMap.get('meters', oldMeter.id)) continue;
+
+                try {
+                    const newMeter = await newStripe.billing.meters.create(meterPayload(oldMeter), idempotent(oldMeter.id));
+                    if (oldMeter.status === 'inactive') {
+                        await newStripe.billing.meters.deactivate(newMeter.id);
+                    }
 
-        if (fs.existsSync(mapPath)) {
-            migrationMap = JSON.parse(fs.readFileSync(mapPath));
-            console.log('Loaded existing migration map');
+                    migrationMap.set('meters', oldMeter.id, newMeter.id);
+                    console.log(`✅ Created: ${oldMeter.id} → ${newMeter.id} (${oldMeter.event_name})`);
+
+                } catch (error) {
+                    console.error(`❌ Error migrating meter ${oldMeter.id}:`, error.message);
+                    throw error;
+                }
+            }
         }
 
         // Migrate products
@@ -45,21 +73,14 @@ async function migrateProducts() {
             try {
                 console.log(`\nMigrating product: ${oldProduct.name}`);
 
-                const newProduct = await newStripe.products.create({
-                    name: oldProduct.name,
-                    description: oldProduct.description,
-                    metadata: {
-                        ...oldProduct.metadata,
-                        old_stripe_product_id: oldProduct.id,
-                        migrated_at: new Date().toISOString()
-                    },
-                    active: oldProduct.active,
-                    statement_descriptor: oldProduct.statement_descriptor,
-                    unit_label: oldProduct.unit_label,
-                    images: oldProduct.images
-                });
-
-                migrationMap.products[oldProduct.id] = newProduct.id;
+                const productData = productPayload(oldProduct);
+                productData.metadata.migration_run_id = runId;
+                // Archived products are created active so prices can be added, then archived
+                if (archived.products.includes(oldProduct.id)) productData.active = true;
+
+                const newProduct = await newStripe.products.create(productData, idempotent(oldProduct.id));
+
+                migrationMap.set('products', oldProduct.id, newProduct.id);
                 console.log(`✅ Created: ${oldProduct.id} → ${newProduct.id}`);
 
             } catch (error) {
@@ -69,7 +90,7 @@ async function migrateProducts() {
         }
 
         // Save progress
-        fs.writeFileSync(mapPath, JSON.stringify(migrationMap, null, 2));
+        migrationMap.flush();
         console.log('\n💾 Progress saved');
 
         // Migrate prices
@@ -79,53 +100,25 @@ async function migrateProducts() {
             try {
                 console.log(`\nMigrating price: ${oldPrice.nickname || oldPrice.id}`);
 
-                const newProductId = migrationMap.products[oldPrice.product];
+                const newProductId = migrationMap.get('products', oldPrice.product);
 
                 if (!newProductId) {
                     throw new Error(`Product mapping not found for ${oldPrice.product}`);
                 }
 
-                const priceData = {
-                    product: newProductId,
-                    currency: oldPrice.currency,
-                    metadata: {
-                        ...oldPrice.metadata,
-                        old_stripe_price_id: oldPrice.id,
-                        migrated_at: new Date().toISOString()
-                    },
-                    active: oldPrice.active,
-                    nickname: oldPrice.nickname,
-                    tax_behavior: oldPrice.tax_behavior
-                };
-
-                // Handle recurring prices
-                if (oldPrice.type === 'recurring') {
-                    priceData.recurring = {
-                        interval: oldPrice.recurring.interval,
-                        interval_count: oldPrice.recurring.interval_count,
-                        usage_type: oldPrice.recurring.usage_type
-                    };
+                // Every creatable attribute, including lookup keys, tiers and currency options
+                const newMeterId = oldPrice.recurring && oldPrice.recurring.meter
+                    ? migrationMap.get('meters', oldPrice.recurring.meter)
+                    : null;
+                const priceData = pricePayload(oldPrice, newProductId, newMeterId);
+                priceData.metadata.migration_run_id = runId;
 
-                    if (oldPrice.recurring.trial_period_days) {
-                        priceData.recurring.trial_period_days = oldPrice.recurring.trial_period_days;
-                    }
-                }
+                const newPrice = await newStripe.prices.create(priceData, idempotent(oldPrice.id));
+                migrationMap.set('prices', oldPrice.id, newPrice.id);
 
-                // Handle different billing schemes
-                if (oldPrice.billing_scheme === 'tiered') {
-                    priceData.billing_scheme = 'tiered';
-                    priceData.tiers_mode = oldPrice.tiers_mode;
-                    priceData.tiers = oldPrice.tiers;
-                } else {
-                    priceData.unit_amount = oldPrice.unit_amount;
-                }
-
-                const newPrice = await newStripe.prices.create(priceData);
-                migrationMap.prices[oldPrice.id] = newPrice.id;
-
-                const amount = oldPrice.unit_amount
-                    ? `$${(oldPrice.unit_amount / 100).toFixed(2)}`
-                    : 'Tiered';
+                const amount = oldPrice.billing_scheme === 'tiered'
+                    ? 'Tiered'
+                    : oldPrice.custom_unit_amount ? 'Customer chooses' : formatAmount(Number(oldPrice.unit_amount_decimal), oldPrice.currency);
                 console.log(`✅ Created: ${oldPrice.id} → ${newPrice.id} (${amount})`);
 
             } catch (error) {
@@ -134,15 +127,75 @@ async function migrateProducts() {
             }
         }
 
+        // Set default prices now that every product and price exists
+        for (const oldProduct of products) {
+            const oldPriceId = oldProduct.default_price && (oldProduct.default_price.id || oldProduct.default_price);
+            const oldPrice = prices.find(p => p.id === oldPriceId);
+            if (!oldPrice || !oldPrice.active) continue;
+
+            const newProductId = migrationMap.get('products', oldProduct.id);
+            const newPriceId = migrationMap.get('prices', oldPriceId);
+            await newStripe.products.update(newProductId, { default_price: newPriceId });
+            console.log(`⭐ Default price of ${newProductId}: ${newPriceId}`);
+        }
+
+        // Archive products that were only exported for their archived prices
+        for (const oldProductId of archived.products) {
+            const newProductId = migrationMap.get('products', oldProductId);
+            if (!newProductId) continue;
+
+            await newStripe.products.update(newProductId, { active: false });
+            console.log(`📦 Archived product: ${newProductId}`);
+        }
+
+        // Migrate tax rates
+        const taxRatesPath = path.join(exportsDir, 'tax-rates-export.json');
+        if (fs.existsSync(taxRatesPath)) {
+            const { taxRates } = JSON.parse(fs.readFileSync(taxRatesPath));
+            console.log(`\n🧾 Migrating ${taxRates.length} tax rates...`);
+
+            for (const oldTaxRate of taxRates) {
+                if (migrationMap.get('taxRates', oldTaxRate.id)) continue;
+
+                try {
+                    const taxRateData = {
+                        display_name: oldTaxRate.display_name,
+                        percentage: oldTaxRate.percentage,
+                        inclusive: oldTaxRate.inclusive,
+                        active: oldTaxRate.active,
+                        metadata: {
+                            ...oldTaxRate.metadata,
+                            old_stripe_tax_rate_id: oldTaxRate.id,
+                            migration_run_id: runId
+                        }
+                    };
+
+                    ['country', 'state', 'description', 'jurisdiction', 'tax_type'].forEach(field => {
+                        if (oldTaxRate[field]) taxRateData[field] = oldTaxRate[field];
+                    });
+
+                    const newTaxRate = await newStripe.taxRates.create(taxRateData, idempotent(oldTaxRate.id));
+                    migrationMap.set('taxRates', oldTaxRate.id, newTaxRate.id);
+                    console.log(`✅ Created: ${oldTaxRate.id} → ${newTaxRate.id} (${oldTaxRate.display_name} ${oldTaxRate.percentage}%)`);
+
+                } catch (error) {
+                    console.error(`❌ Error migrating tax rate ${oldTaxRate.id}:`, error.message);
+                    throw error;
+                }
+            }
+        }
+
         // Final save
-        fs.writeFileSync(mapPath, JSON.stringify(migrationMap, null, 2));
+        migrationMap.flush();
 
         console.log('\n' + '='.repeat(60));
         console.log('✅ Product and price migration complete!');
         console.log('='.repeat(60));
-        console.log(`Products migrated: ${Object.keys(migrationMap.products).length}`);
-        console.log(`Prices migrated: ${Object.keys(migrationMap.prices).length}`);
-        console.log(`Mapping saved to: ${mapPath}`);
+        console.log(`Meters migrated: ${migrationMap.count('meters')}`);
+        console.log(`Products migrated: ${migrationMap.count('products')}`);
+        console.log(`Prices migrated: ${migrationMap.count('prices')}`);
+        console.log(`Tax rates migrated: ${migrationMap.count('taxRates')}`);
+        console.log(`Mapping saved to: ${migrationMap.filePath}`);
 
         return migrationMap;
 
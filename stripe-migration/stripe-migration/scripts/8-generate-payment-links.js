@@ -2,25 +2,31 @@
  * Generate Payment Update Links Script
  * 
  * This script generates payment update links for customers with
- * paid subscriptions that need payment method re-authorization.
+ * paid subscriptions that need payment method re-authorization. Customers
+ * whose default payment method was copied by Stripe
+ * (15-import-payment-methods.js) are skipped. Amounts are shown in the
+ * subscription's currency and totaled per currency
+ * (payment-update-totals.json).
  * 
  * Usage: node 8-generate-payment-links.js
  */
 
-import Stripe from 'stripe';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
+import { getNewStripe } from './stripe-clients.js';
+import { openMigrationMap } from './migration-map.js';
+import { readExport } from '../src/exportFiles.js';
+import { addToTotals, formatAmount, formatTotals, subscriptionAmount, totalsReport } from '../src/money.js';
 
 dotenv.config();
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const newStripe = new Stripe(process.env.STRIPE_SECRET_KEY_NEW);
-
 async function generatePaymentLinks(options = {}) {
+    const newStripe = options.stripe || await getNewStripe();
     const returnUrl = options.returnUrl || process.env.APP_URL || 'https://yourapp.com/payment-updated';
 
     console.log('Generating payment update links...');
@@ -29,45 +35,53 @@ async function generatePaymentLinks(options = {}) {
     try {
         const exportsDir = path.join(__dirname, '../exports');
 
-        // Load data
-        const subscriptions = JSON.parse(
-            fs.readFileSync(path.join(exportsDir, 'subscriptions-export.json'))
-        );
-
-        const customers = JSON.parse(
-            fs.readFileSync(path.join(exportsDir, 'customers-export.json'))
-        );
-
-        const migrationMap = JSON.parse(
-            fs.readFileSync(path.join(exportsDir, 'migration-map.json'))
-        );
+        const migrationMap = options.mapStore || openMigrationMap(exportsDir);
 
         const paymentLinks = [];
         let generatedCount = 0;
         const errors = [];
+        const totals = {};
 
-        // Find paid subscriptions that need payment method
-        const paidSubscriptions = subscriptions.filter(sub => {
+        // Find paid subscriptions that need payment method (streamed, JSON or NDJSON)
+        const paidSubscriptions = [];
+        let copiedCount = 0;
+        for await (const sub of readExport(exportsDir, 'subscriptions')) {
             const isPaid = sub.items.data.some(item => item.price.unit_amount > 0);
             const isActive = sub.status === 'active' || sub.status === 'trialing';
-            return isPaid && isActive;
-        });
+            if (isPaid && isActive) {
+                if (migrationMap.get('defaultPaymentMethods', sub.customer)) {
+                    copiedCount++;
+                } else {
+                    paidSubscriptions.push(sub);
+                }
+            }
+        }
+
+        // Keep only the contact details of the customers we need
+        const neededCustomers = new Set(paidSubscriptions.map(sub => sub.customer));
+        const customers = new Map();
+        for await (const c of readExport(exportsDir, 'customers')) {
+            if (neededCustomers.has(c.id)) {
+                customers.set(c.id, { email: c.email, name: c.name });
+            }
+        }
 
-        console.log(`\n💳 Found ${paidSubscriptions.length} paid subscriptions needing payment update\n`);
+        console.log(`\n💳 Found ${paidSubscriptions.length} paid subscriptions needing payment update`);
+        console.log(`Skipped ${copiedCount} with a copied payment method\n`);
 
         for (let i = 0; i < paidSubscriptions.length; i++) {
             const oldSub = paidSubscriptions[i];
 
             try {
-                const newCustomerId = migrationMap.customers[oldSub.customer];
-                const newSubId = migrationMap.subscriptions[oldSub.id];
+                const newCustomerId = migrationMap.get('customers', oldSub.customer);
+                const newSubId = migrationMap.get('subscriptions', oldSub.id);
 
                 if (!newCustomerId) {
                     throw new Error(`Customer mapping not found for ${oldSub.customer}`);
                 }
 
                 // Get customer details
-                const customerData = customers.find(c => c.id === oldSub.customer);
+                const customerData = customers.get(oldSub.customer);
 
                 console.log(`[${i + 1}/${paidSubscriptions.length}] Generating link for: ${customerData?.email || oldSub.customer}`);
 
@@ -87,9 +101,7 @@ async function generatePaymentLinks(options = {}) {
 
                 // Get subscription details for email
                 const planName = oldSub.items.data[0].price.product.name || 'Subscription';
-                const amount = oldSub.items.data.reduce((sum, item) =>
-                    sum + (item.price.unit_amount * item.quantity), 0
-                );
+                const { currency, amount } = subscriptionAmount(oldSub);
 
                 paymentLinks.push({
                     oldCustomerId: oldSub.customer,
@@ -99,14 +111,15 @@ async function generatePaymentLinks(options = {}) {
                     oldSubscriptionId: oldSub.id,
                     newSubscriptionId: newSubId,
                     planName: planName,
-                    amount: `$${(amount / 100).toFixed(2)}`,
-                    currency: oldSub.items.data[0].price.currency.toUpperCase(),
+                    amount: formatAmount(amount, currency),
+                    currency: currency.toUpperCase(),
                     interval: oldSub.items.data[0].price.recurring?.interval || 'month',
                     paymentUpdateUrl: session.url,
                     sessionId: session.id,
                     expiresAt: new Date(session.expires_at * 1000).toISOString()
                 });
 
+                addToTotals(totals, currency, amount);
                 generatedCount++;
                 console.log(`✅ Generated link (expires: ${new Date(session.expires_at * 1000).toLocaleString()})`);
 
@@ -125,6 +138,13 @@ async function generatePaymentLinks(options = {}) {
         const linksPath = path.join(exportsDir, 'payment-update-links.json');
         fs.writeFileSync(linksPath, JSON.stringify(paymentLinks, null, 2));
 
+        // Save amounts per currency next to the links
+        const totalsPath = path.join(exportsDir, 'payment-update-totals.json');
+        fs.writeFileSync(totalsPath, JSON.stringify({
+            generatedAt: new Date().toISOString(),
+            totalsByCurrency: totalsReport(totals)
+        }, null, 2));
+
         // Save CSV for easy import into email service
         const csvPath = path.join(exportsDir, 'payment-update-links.csv');
         const csvHeader = 'Email,Name,Plan,Amount,Currency,Interval,Payment Update URL,Expires At\n';
@@ -145,9 +165,14 @@ async function generatePaymentLinks(options = {}) {
         console.log(`Total paid subscriptions: ${paidSubscriptions.length}`);
         console.log(`Links generated: ${generatedCount}`);
         console.log(`Errors: ${errors.length}`);
+        if (generatedCount > 0) {
+            console.log(`\nAmount per billing period, by currency:`);
+            formatTotals(totals).forEach(line => console.log(`- ${line}`));
+        }
         console.log(`\nFiles created:`);
         console.log(`- JSON: ${linksPath}`);
         console.log(`- CSV: ${csvPath}`);
+        console.log(`- Totals: ${totalsPath}`);
 
         if (errors.length > 0) {
             console.log(`\n⚠️  Errors saved to: payment-link-errors.json`);
@@ -157,8 +182,10 @@ async function generatePaymentLinks(options = {}) {
 
         return {
             total: paidSubscriptions.length,
+            copied: copiedCount,
             generated: generatedCount,
             errors: errors.length,
+            totalsByCurrency: totalsReport(totals),
             links: paymentLinks
         };
 
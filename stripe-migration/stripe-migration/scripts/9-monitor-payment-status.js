@@ -3,34 +3,34 @@
  * 
  * This script monitors the payment method update status for migrated customers.
  * Useful for tracking migration progress and identifying customers who haven't
- * updated their payment methods.
+ * updated their payment methods. Amounts are shown in the subscription's
+ * currency and totaled per currency.
  * 
  * Usage: node 9-monitor-payment-status.js
  */
 
-import Stripe from 'stripe';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
+import { getNewStripe } from './stripe-clients.js';
+import { openMigrationMap } from './migration-map.js';
+import { addToTotals, formatAmount, formatTotals, subscriptionAmount, totalsReport } from '../src/money.js';
 
 dotenv.config();
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const newStripe = new Stripe(process.env.STRIPE_SECRET_KEY_NEW);
-
-async function monitorPaymentStatus() {
+async function monitorPaymentStatus(options = {}) {
+    const newStripe = options.stripe || await getNewStripe();
     console.log('Monitoring payment method update status...\n');
 
     try {
         const exportsDir = path.join(__dirname, '../exports');
 
         // Load migration map
-        const migrationMap = JSON.parse(
-            fs.readFileSync(path.join(exportsDir, 'migration-map.json'))
-        );
+        const migrationMap = options.mapStore || openMigrationMap(exportsDir);
 
         const stats = {
             total: 0,
@@ -42,8 +42,9 @@ async function monitorPaymentStatus() {
             paidSubscriptions: 0,
             customersNeedingAction: []
         };
+        const amountNeedingAction = {};
 
-        const newCustomerIds = Object.values(migrationMap.customers);
+        const newCustomerIds = migrationMap.entries('customers').map(([, newCustomerId]) => newCustomerId);
         stats.total = newCustomerIds.length;
 
         console.log(`Checking ${stats.total} customers...\n`);
@@ -93,15 +94,17 @@ async function monitorPaymentStatus() {
 
                             // If paid subscription but no payment method, needs action
                             if (!hasPaymentMethod) {
+                                const { currency, amount } = subscriptionAmount(sub);
+                                addToTotals(amountNeedingAction, currency, amount);
                                 stats.customersNeedingAction.push({
                                     customerId: newCustomerId,
                                     email: customer.email,
                                     name: customer.name,
                                     subscriptionId: sub.id,
                                     plan: sub.items.data[0].price.product,
-                                    amount: sub.items.data.reduce((sum, item) =>
-                                        sum + (item.price.unit_amount * item.quantity), 0
-                                    ),
+                                    amount,
+                                    currency,
+                                    formattedAmount: formatAmount(amount, currency),
                                     nextBillingDate: new Date(sub.current_period_end * 1000).toISOString()
                                 });
                             }
@@ -124,6 +127,8 @@ async function monitorPaymentStatus() {
         const report = {
             generatedAt: new Date().toISOString(),
             summary: stats,
+            // Billed per period by the subscriptions needing action
+            amountNeedingActionByCurrency: totalsReport(amountNeedingAction),
             percentages: {
                 paymentMethodUpdateRate: `${paymentMethodRate}%`,
                 activeSubscriptionRate: `${activeRate}%`
@@ -136,9 +141,9 @@ async function monitorPaymentStatus() {
         // Save customers needing action to CSV
         if (stats.customersNeedingAction.length > 0) {
             const csvPath = path.join(exportsDir, 'customers-needing-payment.csv');
-            const csvHeader = 'Email,Name,Customer ID,Subscription ID,Amount,Next Billing Date\n';
+            const csvHeader = 'Email,Name,Customer ID,Subscription ID,Amount,Currency,Next Billing Date\n';
             const csvRows = stats.customersNeedingAction.map(c =>
-                `"${c.email}","${c.name || ''}","${c.customerId}","${c.subscriptionId}","$${(c.amount / 100).toFixed(2)}","${c.nextBillingDate}"`
+                `"${c.email}","${c.name || ''}","${c.customerId}","${c.subscriptionId}","${c.formattedAmount}","${c.currency.toUpperCase()}","${c.nextBillingDate}"`
             ).join('\n');
             fs.writeFileSync(csvPath, csvHeader + csvRows);
         }
@@ -160,11 +165,15 @@ async function monitorPaymentStatus() {
 
         console.log(`\n⚠️  ACTION REQUIRED:`);
         console.log(`Customers with paid subscriptions but no payment method: ${stats.customersNeedingAction.length}`);
+        if (stats.customersNeedingAction.length > 0) {
+            console.log(`Amount per billing period, by currency:`);
+            formatTotals(amountNeedingAction).forEach(line => console.log(`- ${line}`));
+        }
 
         if (stats.customersNeedingAction.length > 0) {
             console.log(`\nTop 10 customers needing action:`);
             stats.customersNeedingAction.slice(0, 10).forEach((c, i) => {
-                console.log(`${i + 1}. ${c.email} - $${(c.amount / 100).toFixed(2)} - Next billing: ${new Date(c.nextBillingDate).toLocaleDateString()}`);
+                console.log(`${i + 1}. ${c.email} - ${c.formattedAmount} - Next billing: ${new Date(c.nextBillingDate).toLocaleDateString()}`);
             });
 
             if (stats.customersNeedingAction.length > 10) {
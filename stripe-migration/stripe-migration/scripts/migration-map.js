@@ -0,0 +1,21 @@
+/**
+ * Migration Map
+ *
+ * Shared map store for the numbered scripts. Each script accepts an injected
+ * store (`options.mapStore`) and falls back to this one.
+ *
+ * The map is kept in exports/migration-map.json by default. Set
+ * MIGRATION_MAP_STORE=sqlite to use exports/migration-map.sqlite instead
+ * (needs better-sqlite3), which stays fast with hundreds of thousands of IDs.
+ */
+
+import dotenv from 'dotenv';
+import { openMapStore } from '../src/mapStores.js';
+
+dotenv.config();
+
+function openMigrationMap(exportsDir) {
+    return openMapStore(exportsDir, process.env.MIGRATION_MAP_STORE || 'json');
+}
+
+export { openMigrationMap };
@@ -1,7 +1,7 @@
-import fs from 'fs';
 import path from 'path';
 import { Sequelize, DataTypes, QueryTypes } from 'sequelize';
 import dotenv from 'dotenv';
+import { openMigrationMap } from './migration-map.js';
 
 // Load environment variables
 dotenv.config();
@@ -50,12 +50,12 @@ async function runDatabaseUpdate() {
   console.log('🔄 Starting Database Update using Sequelize...');
 
   // 1. Load Migration Map
-  const migrationMapPath = path.resolve('./exports/migration-map.json');
-  if (!fs.existsSync(migrationMapPath)) {
-    console.error(`❌ Migration map not found at: ${migrationMapPath}`);
+  // JSON or SQLite, see MIGRATION_MAP_STORE in migration-map.js
+  const migrationMap = openMigrationMap(path.resolve('./exports'));
+  if (migrationMap.count('customers') === 0 && migrationMap.count('prices') === 0) {
+    console.error(`❌ Migration map is empty: ${migrationMap.filePath}`);
     process.exit(1);
   }
-  const migrationMap = JSON.parse(fs.readFileSync(migrationMapPath, 'utf8'));
   console.log('✅ Migration map loaded.');
 
   // 2. Connect to Database
@@ -87,8 +87,7 @@ async function runDatabaseUpdate() {
 
     // --- Helper Function for Batch Updates ---
     // We use a CASE statement for bulk updates to be efficient instead of one query per row
-    const performBatchUpdate = async (tableName, columnName, mapping) => {
-      const entries = Object.entries(mapping);
+    const performBatchUpdate = async (tableName, columnName, entries) => {
       if (entries.length === 0) return;
 
       console.log(`Doing updates for table '${tableName}' column '${columnName}' (${entries.length} records)...`);
@@ -134,16 +133,16 @@ async function runDatabaseUpdate() {
     // --- USERS TABLE UPDATES ---
     if (config.tables.users) {
       const t = config.tables.users;
-      if (t.columns.customer) await performBatchUpdate(t.tableName, t.columns.customer, migrationMap.customers);
-      if (t.columns.subscription) await performBatchUpdate(t.tableName, t.columns.subscription, migrationMap.subscriptions);
-      if (t.columns.price) await performBatchUpdate(t.tableName, t.columns.price, migrationMap.prices);
+      if (t.columns.customer) await performBatchUpdate(t.tableName, t.columns.customer, migrationMap.entries('customers'));
+      if (t.columns.subscription) await performBatchUpdate(t.tableName, t.columns.subscription, migrationMap.entries('subscriptions'));
+      if (t.columns.price) await performBatchUpdate(t.tableName, t.columns.price, migrationMap.entries('prices'));
     }
 
     // --- PLANS TABLE UPDATES ---
     if (config.tables.plans) {
       const t = config.tables.plans;
-      if (t.columns.product) await performBatchUpdate(t.tableName, t.columns.product, migrationMap.products);
-      if (t.columns.plan) await performBatchUpdate(t.tableName, t.columns.plan, migrationMap.prices);
+      if (t.columns.product) await performBatchUpdate(t.tableName, t.columns.product, migrationMap.entries('products'));
+      if (t.columns.plan) await performBatchUpdate(t.tableName, t.columns.plan, migrationMap.entries('prices'));
     }
 
     console.log(`\n✨ Committing transaction...`);
@@ -0,0 +1,47 @@
+/**
+ * Stripe Clients
+ *
+ * Shared client setup for the numbered scripts. Each script accepts an
+ * injected client (`options.stripe`) and falls back to these.
+ *
+ * Set STRIPE_EMULATOR_DIR to run the scripts against the in-memory emulator
+ * instead of live accounts. The emulated accounts are loaded from and saved to
+ * old-account.json / new-account.json in that directory, so a full run can be
+ * rehearsed script by script without a network. The emulator is only loaded
+ * then, so both getters return promises.
+ */
+
+import Stripe from 'stripe';
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const clients = {};
+
+async function createClient(account, apiKey) {
+    const emulatorDir = process.env.STRIPE_EMULATOR_DIR;
+    if (!emulatorDir) {
+        return new Stripe(apiKey);
+    }
+
+    const { StripeEmulator } = await import('../src/StripeEmulator.js');
+    fs.mkdirSync(emulatorDir, { recursive: true });
+    const statePath = path.join(emulatorDir, `${account}-account.json`);
+    const emulator = StripeEmulator.load(statePath, { account });
+    process.on('exit', () => emulator.save(statePath));
+    return emulator;
+}
+
+function getOldStripe() {
+    if (!clients.old) clients.old = createClient('old', process.env.STRIPE_SECRET_KEY_OLD);
+    return clients.old;
+}
+
+function getNewStripe() {
+    if (!clients.new) clients.new = createClient('new', process.env.STRIPE_SECRET_KEY_NEW);
+    return clients.new;
+}
+
+export { getOldStripe, getNewStripe };
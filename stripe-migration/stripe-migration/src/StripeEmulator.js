@@ -0,0 +1,1478 @@
+import Stripe from 'stripe';
+import fs from 'fs';
+
+/**
+ * In-memory emulator of the Stripe endpoints used by the migrator.
+ *
+ * Drop-in replacement for a `Stripe` client instance (pass it as `oldStripe` /
+ * `newStripe`, or return it from a `stripeFactory`) so exports and migrations
+ * can be rehearsed without a network or a live account.
+ *
+ * Supports cursor pagination, the list filters the migrator relies on,
+ * idempotency keys, metered usage (usage records and billing meters),
+ * subscription schedules, invoices (invoice items, upcoming invoice previews
+ * and customer balances) and error injection via `injectError()`.
+ */
+export class StripeEmulator {
+    constructor(options = {}) {
+        this.account = options.account || 'emu';
+        this.store = {};
+        this.sequence = 0;
+        this.faults = [];
+        this.requests = [];
+        this.idempotencyKeys = new Map();
+
+        this.customers = this.createResource('customers', 'cus', {
+            build: (params, id) => ({ ...buildCustomer(params), discount: this.buildDiscount(params, { customer: id }) }),
+            expand: (customer, fields) => this.expandCustomer(customer, fields),
+            filter: (customer, params) => !params.email || customer.email === params.email,
+            prepareUpdate: (customer, params) => this.checkDefaultPaymentMethod(customer, params),
+            del: (id) => this.deleteCustomer(id)
+        });
+
+        this.paymentMethods = this.createResource('payment_methods', 'pm', {
+            build: (params) => buildPaymentMethod(params),
+            filter: (paymentMethod, params) =>
+                (!params.customer || paymentMethod.customer === params.customer) &&
+                (!params.type || paymentMethod.type === params.type),
+            updatable: ['billing_details', 'metadata']
+        });
+        this.paymentMethods.attach = (id, params = {}, options = {}) =>
+            this.call('paymentMethods.attach', params, options, () => this.attachPaymentMethod(id, params.customer));
+        this.paymentMethods.detach = (id, params = {}, options = {}) =>
+            this.call('paymentMethods.detach', params, options, () => this.attachPaymentMethod(id, null));
+
+        this.products = this.createResource('products', 'prod', {
+            build: (params) => buildProduct(params),
+            filter: (product, params) => params.active === undefined || product.active === params.active,
+            del: (id) => this.deleteProduct(id)
+        });
+
+        this.prices = this.createResource('prices', 'price', {
+            build: (params) => this.buildPrice(params),
+            expand: (price, fields) => this.expandPrice(price, fields),
+            filter: (price, params) =>
+                (params.active === undefined || price.active === params.active) &&
+                (!params.product || price.product === params.product) &&
+                (!params.type || price.type === params.type),
+            prepareUpdate: (price, params) => this.claimLookupKey(params, price.id),
+            updatable: ['active', 'nickname', 'metadata', 'lookup_key', 'tax_behavior']
+        });
+
+        this.subscriptions = this.createResource('subscriptions', 'sub', {
+            build: (params, id) => this.buildSubscription(params, id),
+            expand: (subscription, fields) => this.expandSubscription(subscription, fields),
+            filter: (subscription, params) => matchesSubscriptionFilter(subscription, params),
+            updatable: ['metadata', 'cancel_at_period_end', 'default_payment_method', 'description', 'days_until_due']
+        });
+        this.subscriptions.cancel = (id, params = {}, options = {}) =>
+            this.call('subscriptions.cancel', params, options, () => this.cancelSubscription(id));
+
+        this.subscriptionSchedules = this.createResource('subscription_schedules', 'sub_sched', {
+            build: (params, id) => this.buildSubscriptionSchedule(params, id),
+            expand: (schedule, fields) => this.expandSubscriptionSchedule(schedule, fields),
+            filter: (schedule, params) => !params.customer || schedule.customer === params.customer,
+            prepareUpdate: (schedule, params) => this.prepareScheduleUpdate(schedule, params),
+            updatable: ['end_behavior', 'metadata', 'phases']
+        });
+        this.subscriptionSchedules.cancel = (id, params = {}, options = {}) =>
+            this.call('subscriptionSchedules.cancel', params, options, () => this.endSubscriptionSchedule(id, 'canceled'));
+        this.subscriptionSchedules.release = (id, params = {}, options = {}) =>
+            this.call('subscriptionSchedules.release', params, options, () => this.endSubscriptionSchedule(id, 'released'));
+
+        this.coupons = this.createResource('coupons', 'co', {
+            customId: true,
+            build: (params) => buildCoupon(params),
+            del: (id) => this.deleteObject('coupons', id, 'coupon'),
+            updatable: ['name', 'metadata', 'currency_options']
+        });
+
+        this.promotionCodes = this.createResource('promotion_codes', 'promo', {
+            build: (params) => this.buildPromotionCode(params),
+            filter: (promotionCode, params) =>
+                (params.active === undefined || promotionCode.active === params.active) &&
+                (!params.code || promotionCode.code === params.code) &&
+                (!params.coupon || promotionCode.coupon.id === params.coupon) &&
+                (!params.customer || promotionCode.customer === params.customer),
+            updatable: ['active', 'metadata', 'restrictions']
+        });
+
+        this.taxRates = this.createResource('tax_rates', 'txr', {
+            build: (params) => buildTaxRate(params),
+            filter: (taxRate, params) =>
+                (params.active === undefined || taxRate.active === params.active) &&
+                (params.inclusive === undefined || taxRate.inclusive === params.inclusive),
+            updatable: ['active', 'country', 'description', 'display_name', 'jurisdiction', 'metadata', 'state', 'tax_type']
+        });
+
+        this.checkout = {
+            sessions: this.createResource('checkout_sessions', 'cs', {
+                build: (params, id) => this.buildCheckoutSession(params, id)
+            })
+        };
+
+        this.customers.createBalanceTransaction = (id, params = {}, options = {}) =>
+            this.call('customers.createBalanceTransaction', params, options, () => this.createBalanceTransaction(id, params));
+
+        this.invoiceItems = this.createResource('invoiceitems', 'ii', {
+            build: (params) => this.buildInvoiceItem(params),
+            filter: (item, params) =>
+                (!params.customer || item.customer === params.customer) &&
+                (params.pending === undefined || (item.invoice === null) === params.pending)
+        });
+
+        this.invoices = this.createResource('invoices', 'in', {
+            build: (params, id) => this.buildInvoice(params, id),
+            filter: (invoice, params) =>
+                (!params.customer || invoice.customer === params.customer) &&
+                (!params.subscription || invoice.subscription === params.subscription) &&
+                (!params.status || invoice.status === params.status),
+            updatable: ['auto_advance', 'description', 'metadata']
+        });
+        this.invoices.finalizeInvoice = (id, params = {}, options = {}) =>
+            this.call('invoices.finalizeInvoice', params, options, () => this.finalizeInvoice(id, params));
+        this.invoices.voidInvoice = (id, params = {}, options = {}) =>
+            this.call('invoices.voidInvoice', params, options, () => this.voidInvoice(id));
+        this.invoices.retrieveUpcoming = (params = {}, options = {}) =>
+            this.call('invoices.retrieveUpcoming', params, options, () => this.upcomingInvoice(params));
+
+        this.subscriptionItems = {
+            createUsageRecord: (id, params = {}, options = {}) =>
+                this.call('subscriptionItems.createUsageRecord', params, options, () => this.createUsageRecord(id, params)),
+            listUsageRecordSummaries: (id, params = {}, options = {}) =>
+                this.call('subscriptionItems.listUsageRecordSummaries', params, options, () => this.listUsageRecordSummaries(id))
+        };
+
+        const meters = this.createResource('billing_meters', 'mtr', {
+            build: (params) => this.buildMeter(params),
+            filter: (meter, params) => !params.status || meter.status === params.status,
+            updatable: ['display_name']
+        });
+        meters.deactivate = (id, params = {}, options = {}) =>
+            this.call('billing.meters.deactivate', params, options, () => this.setMeterStatus(id, 'inactive'));
+        meters.reactivate = (id, params = {}, options = {}) =>
+            this.call('billing.meters.reactivate', params, options, () => this.setMeterStatus(id, 'active'));
+        meters.listEventSummaries = (id, params = {}, options = {}) =>
+            this.call('billing.meters.listEventSummaries', params, options, () => this.listMeterEventSummaries(id, params));
+        this.billing = {
+            meters,
+            meterEvents: {
+                create: (params = {}, options = {}) =>
+                    this.call('billing.meterEvents.create', params, options, () => this.createMeterEvent(params))
+            }
+        };
+    }
+
+    // =========================================================================
+    // STATE
+    // =========================================================================
+
+    /**
+     * Insert objects as-is (keeping their IDs), e.g. a previous export.
+     */
+    seed(data = {}) {
+        for (const [collection, objects] of Object.entries(data)) {
+            if (!this[collection] || !Array.isArray(objects)) continue;
+            const records = this.records(collection);
+            for (const object of objects) {
+                records.set(object.id, clone(object));
+            }
+        }
+        return this;
+    }
+
+    toJSON() {
+        const store = {};
+        for (const [collection, records] of Object.entries(this.store)) {
+            store[collection] = [...records.values()];
+        }
+        return { account: this.account, sequence: this.sequence, store, idempotencyKeys: Object.fromEntries(this.idempotencyKeys) };
+    }
+
+    save(filePath) {
+        fs.writeFileSync(filePath, JSON.stringify(this.toJSON(), null, 2));
+    }
+
+    static load(filePath, options = {}) {
+        const emulator = new StripeEmulator(options);
+        if (!fs.existsSync(filePath)) return emulator;
+
+        const state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        emulator.account = options.account || state.account;
+        emulator.sequence = state.sequence || 0;
+        emulator.idempotencyKeys = new Map(Object.entries(state.idempotencyKeys || {}));
+        for (const [collection, objects] of Object.entries(state.store || {})) {
+            emulator.store[collection] = new Map(objects.map(o => [o.id, o]));
+        }
+        return emulator;
+    }
+
+    // =========================================================================
+    // ERROR INJECTION
+    // =========================================================================
+
+    /**
+     * Make a call fail, e.g. `injectError('customers.list', 'rate_limit', { after: 2 })`.
+     *
+     * `error` is an Error instance, a preset name ('rate_limit', 'connection',
+     * 'api_error', 'invalid_request') or a raw spec `{ type, message, code, statusCode, headers }`
+     * where `type` names a `Stripe.errors` class. The fault lets `after` calls through
+     * and then fails the next `times` calls.
+     */
+    injectError(target, error, options = {}) {
+        this.faults.push({
+            target,
+            error,
+            after: options.after || 0,
+            times: options.times === undefined ? 1 : options.times
+        });
+        return this;
+    }
+
+    clearErrors() {
+        this.faults = [];
+    }
+
+    // =========================================================================
+    // INTERNALS
+    // =========================================================================
+
+    async call(target, params, options, handler) {
+        this.requests.push({ target, params: clone(params), options: clone(options) });
+
+        const fault = this.faults.find(f => f.target === target && f.times > 0);
+        if (fault) {
+            if (fault.after > 0) {
+                fault.after--;
+            } else {
+                fault.times--;
+                throw toStripeError(fault.error);
+            }
+        }
+
+        // Like Stripe, replay the first successful response for a key and
+        // reject the key if it is reused for a different request
+        const key = options.idempotencyKey;
+        if (key && this.idempotencyKeys.has(key)) {
+            const previous = this.idempotencyKeys.get(key);
+            if (previous.target !== target || JSON.stringify(previous.params) !== JSON.stringify(params)) {
+                throw new Stripe.errors.StripeIdempotencyError({
+                    message: `Keys for idempotent requests can only be used with the same parameters they were first used with. Try using a key other than '${key}' if you meant to execute a different request.`,
+                    type: 'idempotency_error',
+                    statusCode: 400,
+                    headers: {}
+                });
+            }
+            return clone(previous.response);
+        }
+
+        const response = clone(handler());
+        if (key) this.idempotencyKeys.set(key, { target, params: clone(params), response });
+        return clone(response);
+    }
+
+    records(collection) {
+        if (!this.store[collection]) this.store[collection] = new Map();
+        return this.store[collection];
+    }
+
+    nextId(prefix) {
+        this.sequence++;
+        return `${prefix}_${this.account}${String(this.sequence).padStart(8, '0')}`;
+    }
+
+    get(collection, id, label) {
+        const object = this.records(collection).get(id);
+        if (!object) throw resourceMissing(label || collection.replace(/s$/, ''), id);
+        return object;
+    }
+
+    createResource(collection, prefix, definition) {
+        const name = RESOURCE_NAMES[collection] || collection.replace('_', '.');
+        const expand = (object, params) => definition.expand
+            ? definition.expand(object, params && params.expand ? params.expand : [])
+            : object;
+
+        const resource = {
+            create: (params = {}, options = {}) => this.call(`${name}.create`, params, options, () => {
+                const id = definition.customId && params.id ? params.id : this.nextId(prefix);
+                if (this.records(collection).has(id)) {
+                    throw invalidRequest(`${name.replace(/s$/, '')} already exists.`, 'id', 'resource_already_exists');
+                }
+                const object = { id, created: now(), livemode: false, ...definition.build(params, id) };
+                this.records(collection).set(object.id, object);
+                return expand(object, params);
+            }),
+
+            retrieve: (id, params = {}, options = {}) => this.call(`${name}.retrieve`, params, options, () =>
+                expand(this.get(collection, id), params)),
+
+            update: (id, params = {}, options = {}) => this.call(`${name}.update`, params, options, () => {
+                const object = this.get(collection, id);
+                const changes = definition.prepareUpdate ? definition.prepareUpdate(object, params) : params;
+                for (const [key, value] of Object.entries(changes)) {
+                    if (key === 'expand') continue;
+                    if (definition.updatable && !definition.updatable.includes(key)) {
+                        throw invalidRequest(`Received unknown parameter: ${key}`, key);
+                    }
+                    if (key === 'metadata') {
+                        object.metadata = mergeMetadata(object.metadata, value);
+                    } else if (value !== null && typeof value === 'object' && !Array.isArray(value) && object[key]) {
+                        object[key] = { ...object[key], ...value };
+                    } else {
+                        object[key] = value;
+                    }
+                }
+                return expand(object, params);
+            }),
+
+            list: (params = {}, options = {}) => this.call(`${name}.list`, params, options, () => {
+                const limit = Math.min(params.limit || 10, 100);
+                let objects = [...this.records(collection).values()]
+                    .filter(o => matchesCreated(o, params.created))
+                    .filter(o => !definition.filter || definition.filter(o, params))
+                    .sort((a, b) => b.created - a.created || (b.id < a.id ? -1 : 1));
+
+                if (params.starting_after) {
+                    const index = objects.findIndex(o => o.id === params.starting_after);
+                    if (index === -1) throw resourceMissing(name.replace(/s$/, ''), params.starting_after);
+                    objects = objects.slice(index + 1);
+                }
+
+                const expandData = (params.expand || [])
+                    .filter(e => e.startsWith('data.'))
+                    .map(e => e.slice('data.'.length));
+
+                return {
+                    object: 'list',
+                    url: `/v1/${collection === 'checkout_sessions' ? 'checkout/sessions' : collection}`,
+                    has_more: objects.length > limit,
+                    data: objects.slice(0, limit).map(o => expand(o, { expand: expandData }))
+                };
+            })
+        };
+
+        if (definition.del) {
+            resource.del = (id, params = {}, options = {}) => this.call(`${name}.del`, params, options, () =>
+                definition.del(id));
+        }
+
+        return resource;
+    }
+
+    deleteCustomer(id) {
+        this.get('customers', id);
+        for (const subscription of this.records('subscriptions').values()) {
+            if (subscription.customer === id && !isEnded(subscription)) this.cancelSubscription(subscription.id);
+        }
+        this.records('customers').delete(id);
+        return { id, object: 'customer', deleted: true };
+    }
+
+    /**
+     * A customer's default payment method has to be attached to the customer.
+     */
+    checkDefaultPaymentMethod(customer, params) {
+        const paymentMethodId = params.invoice_settings && params.invoice_settings.default_payment_method;
+        if (paymentMethodId) {
+            const paymentMethod = this.get('payment_methods', paymentMethodId, 'PaymentMethod');
+            if (paymentMethod.customer !== customer.id) {
+                throw invalidRequest(`The customer does not have a payment method with the ID ${paymentMethodId}. The payment method must be attached to the customer.`, 'invoice_settings[default_payment_method]');
+            }
+        }
+        return params;
+    }
+
+    attachPaymentMethod(id, customerId) {
+        const paymentMethod = this.get('payment_methods', id, 'PaymentMethod');
+        if (customerId) {
+            this.get('customers', customerId, 'customer');
+            if (paymentMethod.customer && paymentMethod.customer !== customerId) {
+                throw invalidRequest('The payment method you provided has already been attached to a customer.', 'payment_method');
+            }
+        } else if (!paymentMethod.customer) {
+            throw invalidRequest('The payment method you provided is not attached to a customer so detachment is impossible.', 'payment_method');
+        }
+        paymentMethod.customer = customerId;
+        return paymentMethod;
+    }
+
+    deleteObject(collection, id, label) {
+        this.get(collection, id, label);
+        this.records(collection).delete(id);
+        return { id, object: label, deleted: true };
+    }
+
+    deleteProduct(id) {
+        this.get('products', id);
+        const hasPrices = [...this.records('prices').values()].some(p => p.product === id);
+        if (hasPrices) {
+            throw invalidRequest('This product cannot be deleted because it has one or more user-created prices.');
+        }
+        this.records('products').delete(id);
+        return { id, object: 'product', deleted: true };
+    }
+
+    buildPrice(params) {
+        if (!params.currency) throw invalidRequest('Missing required param: currency.', 'currency');
+        if (!params.product) throw invalidRequest('Missing required param: product.', 'product');
+        this.get('products', params.product, 'product');
+
+        const billingScheme = params.billing_scheme || 'per_unit';
+        if (billingScheme === 'per_unit' && params.unit_amount === undefined &&
+            params.unit_amount_decimal === undefined && !params.custom_unit_amount) {
+            throw invalidRequest('Missing required param: unit_amount.', 'unit_amount');
+        }
+
+        this.claimLookupKey(params);
+        onlyOneOf(params, 'unit_amount', 'unit_amount_decimal');
+        if (params.recurring && params.recurring.meter) this.get('billing_meters', params.recurring.meter, 'billing meter');
+
+        const unitAmount = params.unit_amount !== undefined
+            ? params.unit_amount
+            : params.unit_amount_decimal !== undefined ? Math.round(Number(params.unit_amount_decimal)) : null;
+
+        return {
+            object: 'price',
+            active: params.active === undefined ? true : params.active,
+            billing_scheme: billingScheme,
+            currency: params.currency,
+            currency_options: params.currency_options || null,
+            custom_unit_amount: params.custom_unit_amount || null,
+            lookup_key: params.lookup_key || null,
+            metadata: params.metadata || {},
+            nickname: params.nickname || null,
+            product: params.product,
+            recurring: params.recurring ? {
+                aggregate_usage: null,
+                interval_count: 1,
+                trial_period_days: null,
+                usage_type: 'licensed',
+                meter: null,
+                ...params.recurring
+            } : null,
+            tax_behavior: params.tax_behavior || 'unspecified',
+            tiers: params.tiers ? buildTiers(params.tiers) : null,
+            tiers_mode: params.tiers_mode || null,
+            transform_quantity: params.transform_quantity || null,
+            type: params.recurring ? 'recurring' : 'one_time',
+            unit_amount: unitAmount,
+            unit_amount_decimal: unitAmount === null ? null : String(params.unit_amount_decimal || unitAmount)
+        };
+    }
+
+    /**
+     * Lookup keys are unique per account: a price can only take one over from
+     * another price with `transfer_lookup_key`. Returns the update params.
+     */
+    claimLookupKey(params, priceId = null) {
+        const { transfer_lookup_key: transfer, ...rest } = params;
+        if (!params.lookup_key) return rest;
+
+        const holder = [...this.records('prices').values()]
+            .find(price => price.lookup_key === params.lookup_key && price.id !== priceId);
+        if (holder && !transfer) {
+            throw invalidRequest(`A price (\`${holder.id}\`) already uses that lookup key.`, 'lookup_key');
+        }
+        if (holder) holder.lookup_key = null;
+        return rest;
+    }
+
+    buildSubscription(params, id) {
+        if (!params.customer) throw invalidRequest('Missing required param: customer.', 'customer');
+        const customer = this.get('customers', params.customer, 'customer');
+        if (!params.items || params.items.length === 0) throw invalidRequest('Missing required param: items.', 'items');
+
+        const timestamp = now();
+        const items = params.items.map((item, index) => {
+            const price = this.get('prices', item.price, 'price');
+            if (price.type !== 'recurring') {
+                throw invalidRequest(`The price specified is set to \`type=one_time\` but this field only accepts prices with \`type=recurring\`.`, `items[${index}][price]`);
+            }
+            if (!price.active) {
+                throw invalidRequest('The price specified is inactive. This field only accepts active prices.', `items[${index}][price]`);
+            }
+            const metered = price.recurring.usage_type === 'metered';
+            if (metered && item.quantity !== undefined) {
+                throw invalidRequest(`Quantity should not be specified where usage_type is \`metered\`. Remove quantity from \`items[${index}]\`.`, `items[${index}][quantity]`);
+            }
+            return {
+                id: this.nextId('si'),
+                object: 'subscription_item',
+                created: timestamp,
+                metadata: item.metadata || {},
+                price: clone(price),
+                ...(metered ? {} : { quantity: item.quantity === undefined ? 1 : item.quantity }),
+                tax_rates: this.resolveTaxRates(item.tax_rates, `items[${index}][tax_rates]`)
+            };
+        });
+
+        if (params.billing_cycle_anchor !== undefined && params.billing_cycle_anchor < timestamp) {
+            throw invalidRequest('billing_cycle_anchor cannot be in the past.', 'billing_cycle_anchor');
+        }
+        if (params.backdate_start_date !== undefined && params.backdate_start_date > timestamp) {
+            throw invalidRequest('backdate_start_date must be in the past.', 'backdate_start_date');
+        }
+
+        const { interval, interval_count: intervalCount } = items[0].price.recurring;
+        const trialEnd = params.trial_end === 'now' ? null : params.trial_end || null;
+        const startDate = params.backdate_start_date || timestamp;
+
+        let periodStart = startDate;
+        let periodEnd = addInterval(startDate, interval, intervalCount);
+        while (periodEnd <= timestamp) {
+            periodStart = periodEnd;
+            periodEnd = addInterval(periodStart, interval, intervalCount);
+        }
+        if (params.billing_cycle_anchor) periodEnd = params.billing_cycle_anchor;
+        if (trialEnd) {
+            periodStart = timestamp;
+            periodEnd = trialEnd;
+        }
+
+        const collectionMethod = params.collection_method || 'charge_automatically';
+        const isPaid = items.some(i => (i.price.unit_amount || 0) > 0 || i.price.billing_scheme === 'tiered');
+        if (params.default_payment_method) {
+            this.checkDefaultPaymentMethod(customer, { invoice_settings: { default_payment_method: params.default_payment_method } });
+        }
+        const hasPaymentMethod = !!(params.default_payment_method ||
+            customer.invoice_settings.default_payment_method || customer.default_source);
+
+        // Without proration, an anchored or backdated subscription starts with a $0 invoice
+        const chargesNow = params.proration_behavior !== 'none' ||
+            (params.billing_cycle_anchor === undefined && params.backdate_start_date === undefined);
+
+        let status = 'active';
+        if (trialEnd && trialEnd > timestamp) {
+            status = 'trialing';
+        } else if (isPaid && chargesNow && collectionMethod === 'charge_automatically' && !hasPaymentMethod) {
+            if (params.payment_behavior !== 'default_incomplete') {
+                throw invalidRequest('This customer has no attached payment source or default payment method.', undefined, 'resource_missing');
+            }
+            status = 'incomplete';
+        }
+
+        return {
+            object: 'subscription',
+            billing_cycle_anchor: params.billing_cycle_anchor || trialEnd || startDate,
+            cancel_at_period_end: false,
+            canceled_at: null,
+            collection_method: collectionMethod,
+            current_period_end: periodEnd,
+            current_period_start: periodStart,
+            customer: params.customer,
+            days_until_due: params.days_until_due || null,
+            default_payment_method: params.default_payment_method || null,
+            default_tax_rates: this.resolveTaxRates(params.default_tax_rates, 'default_tax_rates'),
+            description: params.description || null,
+            discount: this.buildDiscount(params, { customer: params.customer, subscription: id }),
+            ended_at: null,
+            items: { object: 'list', data: items, has_more: false, url: '/v1/subscription_items' },
+            latest_invoice: null,
+            metadata: params.metadata || {},
+            schedule: null,
+            start_date: startDate,
+            status,
+            trial_end: trialEnd,
+            trial_start: trialEnd ? timestamp : null
+        };
+    }
+
+    /**
+     * Discount created by a `coupon`, `promotion_code` or `discounts` param.
+     */
+    buildDiscount(params, owner) {
+        const requested = params.discounts && params.discounts.length > 0
+            ? params.discounts[0]
+            : { coupon: params.coupon, promotion_code: params.promotion_code };
+
+        let promotionCode = null;
+        let couponId = requested.coupon;
+        if (requested.promotion_code) {
+            promotionCode = this.get('promotion_codes', requested.promotion_code, 'promotion code');
+            if (!promotionCode.active) throw invalidRequest('This promotion code is not active.', 'promotion_code');
+            couponId = promotionCode.coupon.id;
+            promotionCode.times_redeemed++;
+        }
+        if (!couponId) return null;
+
+        const coupon = this.get('coupons', couponId, 'coupon');
+        if (!coupon.valid) throw invalidRequest(`Coupon expired: ${couponId}`, 'coupon', 'coupon_expired');
+        coupon.times_redeemed++;
+        if (coupon.max_redemptions && coupon.times_redeemed >= coupon.max_redemptions) coupon.valid = false;
+
+        const start = now();
+        return {
+            id: this.nextId('di'),
+            object: 'discount',
+            coupon: clone(coupon),
+            customer: owner.customer || null,
+            end: coupon.duration === 'repeating' ? addInterval(start, 'month', coupon.duration_in_months) : null,
+            promotion_code: promotionCode ? promotionCode.id : null,
+            start,
+            subscription: owner.subscription || null
+        };
+    }
+
+    buildPromotionCode(params) {
+        if (!params.coupon) throw invalidRequest('Missing required param: coupon.', 'coupon');
+        const coupon = this.get('coupons', params.coupon, 'coupon');
+        if (params.customer) this.get('customers', params.customer, 'customer');
+
+        const code = params.code || Math.random().toString(36).slice(2, 10).toUpperCase();
+        const taken = [...this.records('promotion_codes').values()].some(p => p.active && p.code === code);
+        if (taken) throw invalidRequest(`An active promotion code with \`code: ${code}\` already exists.`, 'code');
+
+        return {
+            object: 'promotion_code',
+            active: params.active === undefined ? true : params.active,
+            code,
+            coupon: clone(coupon),
+            customer: params.customer || null,
+            expires_at: params.expires_at || null,
+            max_redemptions: params.max_redemptions || null,
+            metadata: params.metadata || {},
+            restrictions: {
+                first_time_transaction: false,
+                minimum_amount: null,
+                minimum_amount_currency: null,
+                ...params.restrictions
+            },
+            times_redeemed: 0
+        };
+    }
+
+    resolveTaxRates(taxRateIds = [], param) {
+        return taxRateIds.map((taxRateId, index) => {
+            if (typeof taxRateId !== 'string') throw invalidRequest(`Invalid string: ${JSON.stringify(taxRateId)}`, `${param}[${index}]`);
+            const taxRate = this.get('tax_rates', taxRateId, 'tax rate');
+            if (!taxRate.active) throw invalidRequest(`Tax rate ${taxRateId} is inactive and cannot be applied.`, `${param}[${index}]`);
+            return clone(taxRate);
+        });
+    }
+
+    /**
+     * Preview of the next invoice of `params.subscription` (or of the
+     * customer's first live subscription): its licensed items at the end of
+     * the current period. Subscriptions that will not renew have none.
+     */
+    upcomingInvoice(params) {
+        const customer = this.get('customers', params.customer, 'customer');
+        const subscription = params.subscription
+            ? this.get('subscriptions', params.subscription, 'subscription')
+            : [...this.records('subscriptions').values()].find(s => s.customer === customer.id && !isEnded(s));
+        if (!subscription || subscription.customer !== customer.id || isEnded(subscription) || subscription.cancel_at_period_end) {
+            const error = invalidRequest(`No upcoming invoices for customer: ${customer.id}`, undefined, 'invoice_upcoming_none');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        const lines = subscription.items.data.map(item => ({
+            object: 'line_item',
+            amount: (item.price.unit_amount || 0) * (item.quantity || 0),
+            currency: item.price.currency,
+            price: item.price,
+            quantity: item.quantity || null,
+            subscription_item: item.id
+        }));
+        const amount = lines.reduce((sum, line) => sum + line.amount, 0);
+        const billedAt = subscription.current_period_end;
+        const automatic = subscription.collection_method === 'charge_automatically';
+
+        return {
+            object: 'invoice',
+            amount_due: amount,
+            collection_method: subscription.collection_method,
+            created: billedAt,
+            currency: lines[0].currency,
+            customer: customer.id,
+            due_date: automatic ? null : billedAt + (subscription.days_until_due || 0) * 24 * 60 * 60,
+            lines: { object: 'list', data: lines, has_more: false },
+            next_payment_attempt: automatic && amount > 0 ? billedAt : null,
+            period_end: billedAt,
+            period_start: subscription.current_period_start,
+            subscription: subscription.id,
+            total: amount
+        };
+    }
+
+    createBalanceTransaction(id, params) {
+        const customer = this.get('customers', id, 'customer');
+        if (!Number.isInteger(params.amount)) throw invalidRequest('Missing required param: amount.', 'amount');
+        if (!params.currency) throw invalidRequest('Missing required param: currency.', 'currency');
+
+        customer.balance += params.amount;
+        return {
+            id: this.nextId('cbtxn'),
+            object: 'customer_balance_transaction',
+            amount: params.amount,
+            created: now(),
+            currency: params.currency,
+            customer: id,
+            description: params.description || null,
+            ending_balance: customer.balance,
+            metadata: params.metadata || {},
+            type: 'adjustment'
+        };
+    }
+
+    buildInvoiceItem(params) {
+        this.get('customers', params.customer, 'customer');
+        if (params.subscription) this.get('subscriptions', params.subscription, 'subscription');
+        if (!Number.isInteger(params.amount)) throw invalidRequest('Missing required param: amount.', 'amount');
+        if (!params.currency) throw invalidRequest('Missing required param: currency.', 'currency');
+        return {
+            object: 'invoiceitem',
+            amount: params.amount,
+            currency: params.currency,
+            customer: params.customer,
+            description: params.description || null,
+            invoice: null,
+            metadata: params.metadata || {},
+            subscription: params.subscription || null
+        };
+    }
+
+    /**
+     * Draft invoice of the customer's pending invoice items (those of
+     * `params.subscription`, if given). The customer balance is applied when
+     * the invoice is finalized.
+     */
+    buildInvoice(params, id) {
+        const customer = this.get('customers', params.customer, 'customer');
+        const subscription = params.subscription ? this.get('subscriptions', params.subscription, 'subscription') : null;
+        const items = params.pending_invoice_items_behavior === 'exclude' ? [] : [...this.records('invoiceitems').values()]
+            .filter(item => item.customer === customer.id && item.invoice === null)
+            .filter(item => !subscription || item.subscription === subscription.id);
+        if (items.length === 0) {
+            throw invalidRequest(`Nothing to invoice for customer`, undefined, 'invoice_no_customer_line_items');
+        }
+
+        items.forEach(item => { item.invoice = id; });
+        const total = items.reduce((sum, item) => sum + item.amount, 0);
+        const collectionMethod = params.collection_method || (subscription ? subscription.collection_method : 'charge_automatically');
+        return {
+            object: 'invoice',
+            amount_due: total,
+            amount_paid: 0,
+            amount_remaining: total,
+            attempt_count: 0,
+            auto_advance: params.auto_advance !== false,
+            collection_method: collectionMethod,
+            currency: items[0].currency,
+            customer: customer.id,
+            days_until_due: params.days_until_due || null,
+            description: params.description || null,
+            due_date: null,
+            lines: { object: 'list', data: items.map(item => ({ object: 'line_item', amount: item.amount, currency: item.currency, description: item.description, invoice_item: item.id })), has_more: false },
+            metadata: params.metadata || {},
+            status: 'draft',
+            subscription: subscription ? subscription.id : null,
+            total
+        };
+    }
+
+    /**
+     * Open the draft invoice. An automatically collected invoice is charged
+     * at once: without a payment method the attempt fails and the invoice's
+     * subscription goes past_due, as Stripe does before retrying.
+     */
+    finalizeInvoice(id, params) {
+        const invoice = this.get('invoices', id, 'invoice');
+        if (invoice.status !== 'draft') throw invalidRequest('This invoice is already finalized, you can\'t re-finalize a non-draft invoice.');
+        if (params.auto_advance !== undefined) invoice.auto_advance = params.auto_advance;
+
+        const customer = this.get('customers', invoice.customer, 'customer');
+        // A positive balance is owed and added; a credit is used up to the total
+        const applied = customer.balance < 0 ? Math.max(customer.balance, -invoice.total) : customer.balance;
+        customer.balance -= applied;
+        invoice.starting_balance = applied;
+        invoice.amount_due = invoice.total + applied;
+        invoice.amount_remaining = invoice.amount_due;
+        invoice.status = 'open';
+        invoice.status_transitions = { finalized_at: now() };
+        if (invoice.collection_method === 'send_invoice') {
+            invoice.due_date = now() + (invoice.days_until_due || 30) * 24 * 60 * 60;
+            return invoice;
+        }
+
+        const subscription = invoice.subscription ? this.get('subscriptions', invoice.subscription, 'subscription') : null;
+        const hasPaymentMethod = !!((subscription && subscription.default_payment_method) ||
+            customer.invoice_settings.default_payment_method || customer.default_source);
+        invoice.attempt_count = 1;
+        if (hasPaymentMethod) {
+            invoice.amount_paid = invoice.amount_due;
+            invoice.amount_remaining = 0;
+            invoice.status = 'paid';
+        } else if (subscription && !isEnded(subscription)) {
+            subscription.status = 'past_due';
+        }
+        return invoice;
+    }
+
+    /**
+     * Void an open invoice: nothing is owed on it anymore and it is never
+     * collected.
+     */
+    voidInvoice(id) {
+        const invoice = this.get('invoices', id, 'invoice');
+        if (invoice.status !== 'open') throw invalidRequest(`You can only void an open invoice, but this invoice is ${invoice.status}.`);
+        invoice.status = 'void';
+        invoice.amount_remaining = 0;
+        invoice.auto_advance = false;
+        invoice.status_transitions = { ...invoice.status_transitions, voided_at: now() };
+        return invoice;
+    }
+
+    cancelSubscription(id) {
+        const subscription = this.get('subscriptions', id, 'subscription');
+        subscription.status = 'canceled';
+        subscription.canceled_at = now();
+        subscription.ended_at = subscription.canceled_at;
+        return subscription;
+    }
+
+    // =========================================================================
+    // SUBSCRIPTION SCHEDULES
+    // =========================================================================
+
+    /**
+     * A schedule either takes over an existing subscription (`from_subscription`,
+     * one phase for its current period) or starts one at `start_date` from its
+     * first phase. Phases do not advance over time.
+     */
+    buildSubscriptionSchedule(params, id) {
+        if (params.from_subscription) {
+            const other = Object.keys(params).find(key => !['from_subscription', 'expand'].includes(key));
+            if (other) throw invalidRequest(`You cannot set \`${other}\` if \`from_subscription\` is set.`, other);
+
+            const subscription = this.get('subscriptions', params.from_subscription, 'subscription');
+            if (isEnded(subscription)) throw invalidRequest('You cannot create a schedule for a canceled subscription.', 'from_subscription');
+            if (subscription.schedule) {
+                throw invalidRequest(`The subscription \`${subscription.id}\` is already attached to a schedule.`, 'from_subscription');
+            }
+            subscription.schedule = id;
+
+            const phase = {
+                start_date: subscription.current_period_start,
+                end_date: subscription.current_period_end,
+                coupon: subscription.discount ? subscription.discount.coupon.id : null,
+                default_tax_rates: clone(subscription.default_tax_rates),
+                items: subscription.items.data.map(item => ({
+                    price: item.price.id,
+                    ...(item.quantity === undefined ? {} : { quantity: item.quantity }),
+                    metadata: item.metadata,
+                    tax_rates: clone(item.tax_rates || [])
+                })),
+                metadata: {},
+                trial_end: subscription.trial_end
+            };
+            return {
+                object: 'subscription_schedule',
+                canceled_at: null,
+                current_phase: { start_date: phase.start_date, end_date: phase.end_date },
+                customer: subscription.customer,
+                end_behavior: 'release',
+                metadata: {},
+                phases: [phase],
+                released_at: null,
+                released_subscription: null,
+                status: 'active',
+                subscription: subscription.id
+            };
+        }
+
+        if (!params.customer) throw invalidRequest('Missing required param: customer.', 'customer');
+        this.get('customers', params.customer, 'customer');
+        const timestamp = now();
+        const startDate = params.start_date === undefined || params.start_date === 'now' ? timestamp : params.start_date;
+        const phases = this.buildSchedulePhases(params.phases, startDate);
+
+        const schedule = {
+            object: 'subscription_schedule',
+            canceled_at: null,
+            current_phase: null,
+            customer: params.customer,
+            end_behavior: params.end_behavior || 'release',
+            metadata: params.metadata || {},
+            phases,
+            released_at: null,
+            released_subscription: null,
+            status: 'not_started',
+            subscription: null
+        };
+        if (startDate <= timestamp) {
+            // The schedule starts now: create its subscription from the first phase
+            const [first] = phases;
+            const subscriptionId = this.nextId('sub');
+            const subscription = {
+                id: subscriptionId,
+                created: timestamp,
+                livemode: false,
+                ...this.buildSubscription({
+                    customer: params.customer,
+                    items: first.items.map(item => ({ ...item, tax_rates: item.tax_rates.map(t => t.id) })),
+                    default_tax_rates: first.default_tax_rates.map(t => t.id),
+                    coupon: first.coupon || undefined,
+                    trial_end: first.trial_end || undefined,
+                    metadata: first.metadata
+                }, subscriptionId),
+                schedule: id
+            };
+            this.records('subscriptions').set(subscriptionId, subscription);
+            schedule.status = 'active';
+            schedule.subscription = subscriptionId;
+            schedule.current_phase = { start_date: first.start_date, end_date: first.end_date };
+        }
+        return schedule;
+    }
+
+    /**
+     * Validate phase params and chain them: each phase starts where the
+     * previous one ends, and needs an `end_date` (or `iterations`).
+     */
+    buildSchedulePhases(phases, startDate) {
+        if (!phases || phases.length === 0) throw invalidRequest('Missing required param: phases.', 'phases');
+
+        let start = startDate;
+        return phases.map((phase, index) => {
+            const param = `phases[${index}]`;
+            if (!phase.items || phase.items.length === 0) throw invalidRequest(`Missing required param: ${param}[items].`, `${param}[items]`);
+
+            const items = phase.items.map((item, itemIndex) => {
+                const price = this.get('prices', item.price, 'price');
+                if (!price.active) {
+                    throw invalidRequest('The price specified is inactive. This field only accepts active prices.', `${param}[items][${itemIndex}][price]`);
+                }
+                if (price.recurring && price.recurring.usage_type === 'metered' && item.quantity !== undefined) {
+                    throw invalidRequest(`Quantity should not be specified where usage_type is \`metered\`. Remove quantity from \`${param}[items][${itemIndex}]\`.`, `${param}[items][${itemIndex}][quantity]`);
+                }
+                const metered = price.recurring && price.recurring.usage_type === 'metered';
+                return {
+                    price: price.id,
+                    ...(metered ? {} : { quantity: item.quantity === undefined ? 1 : item.quantity }),
+                    metadata: item.metadata || {},
+                    tax_rates: this.resolveTaxRates(item.tax_rates, `${param}[items][${itemIndex}][tax_rates]`)
+                };
+            });
+
+            const coupon = phase.discounts && phase.discounts.length > 0 ? phase.discounts[0].coupon : phase.coupon;
+            if (coupon) this.get('coupons', coupon, 'coupon');
+
+            let endDate = phase.end_date;
+            if (endDate === undefined && phase.iterations) {
+                const { recurring } = this.get('prices', items[0].price, 'price');
+                endDate = addInterval(start, recurring.interval, recurring.interval_count * phase.iterations);
+            }
+            if (endDate === undefined) throw invalidRequest(`Missing required param: ${param}[end_date].`, `${param}[end_date]`);
+            if (endDate <= start) throw invalidRequest('Each phase must end after it starts.', `${param}[end_date]`);
+
+            const built = {
+                start_date: start,
+                end_date: endDate,
+                billing_cycle_anchor: phase.billing_cycle_anchor || null,
+                collection_method: phase.collection_method || null,
+                coupon: coupon || null,
+                currency: phase.currency || null,
+                default_tax_rates: this.resolveTaxRates(phase.default_tax_rates, `${param}[default_tax_rates]`),
+                description: phase.description || null,
+                items,
+                metadata: phase.metadata || {},
+                proration_behavior: phase.proration_behavior || 'create_prorations',
+                trial_end: phase.trial_end || null
+            };
+            start = endDate;
+            return built;
+        });
+    }
+
+    /**
+     * Phases of a started schedule are replaced from the current phase on,
+     * which keeps its start date.
+     */
+    prepareScheduleUpdate(schedule, params) {
+        if (!['active', 'not_started'].includes(schedule.status)) {
+            throw invalidRequest(`You cannot update a subscription schedule that is currently in the \`${schedule.status}\` status.`);
+        }
+        const { proration_behavior: prorationBehavior, ...changes } = params;
+        if (!params.phases) return changes;
+
+        const startDate = params.phases[0].start_date;
+        if (schedule.status === 'active' && startDate !== schedule.current_phase.start_date) {
+            throw invalidRequest('You can not modify the start date of the current phase.', 'phases[0][start_date]');
+        }
+        changes.phases = this.buildSchedulePhases(params.phases, startDate === undefined ? schedule.phases[0].start_date : startDate);
+        if (schedule.current_phase) {
+            schedule.current_phase = { start_date: changes.phases[0].start_date, end_date: changes.phases[0].end_date };
+        }
+        return changes;
+    }
+
+    /**
+     * Cancel (the subscription ends too) or release (the subscription stays)
+     */
+    endSubscriptionSchedule(id, status) {
+        const schedule = this.get('subscription_schedules', id, 'subscription schedule');
+        if (!['active', 'not_started'].includes(schedule.status)) {
+            throw invalidRequest(`You cannot ${status === 'canceled' ? 'cancel' : 'release'} a subscription schedule that is currently in the \`${schedule.status}\` status.`);
+        }
+        const subscription = schedule.subscription && this.records('subscriptions').get(schedule.subscription);
+        if (subscription) {
+            subscription.schedule = null;
+            if (status === 'canceled' && !isEnded(subscription)) this.cancelSubscription(subscription.id);
+        }
+        if (status === 'released') schedule.released_subscription = schedule.subscription;
+        schedule.status = status;
+        schedule[status === 'canceled' ? 'canceled_at' : 'released_at'] = now();
+        schedule.current_phase = null;
+        schedule.subscription = null;
+        return schedule;
+    }
+
+    buildCheckoutSession(params, id) {
+        if (!params.mode) throw invalidRequest('Missing required param: mode.', 'mode');
+        if (params.customer) this.get('customers', params.customer, 'customer');
+        return {
+            object: 'checkout.session',
+            customer: params.customer || null,
+            expires_at: now() + 24 * 60 * 60,
+            metadata: params.metadata || {},
+            mode: params.mode,
+            status: 'open',
+            success_url: params.success_url,
+            cancel_url: params.cancel_url,
+            url: `https://checkout.stripe.com/c/pay/${id}`
+        };
+    }
+
+    expandCustomer(customer, fields) {
+        const expanded = clone(customer);
+        if (fields.includes('subscriptions')) {
+            const data = [...this.records('subscriptions').values()]
+                .filter(s => s.customer === customer.id && !isEnded(s));
+            expanded.subscriptions = { object: 'list', data, has_more: false, url: `/v1/customers/${customer.id}/subscriptions` };
+        }
+        return expanded;
+    }
+
+    // =========================================================================
+    // METERED USAGE
+    // =========================================================================
+
+    findSubscriptionItem(id) {
+        for (const subscription of this.records('subscriptions').values()) {
+            const item = subscription.items.data.find(i => i.id === id);
+            if (item) return { subscription, item };
+        }
+        throw resourceMissing('subscription_item', id);
+    }
+
+    createUsageRecord(id, params) {
+        const { item } = this.findSubscriptionItem(id);
+        if (item.price.recurring.usage_type !== 'metered' || item.price.recurring.meter) {
+            throw invalidRequest('Usage records can only be created for subscription items with legacy metered prices.', 'subscription_item');
+        }
+        if (params.quantity === undefined) throw invalidRequest('Missing required param: quantity.', 'quantity');
+
+        const record = {
+            id: this.nextId('mbur'),
+            object: 'usage_record',
+            action: params.action || 'increment',
+            quantity: params.quantity,
+            subscription_item: id,
+            timestamp: params.timestamp === 'now' || params.timestamp === undefined ? now() : params.timestamp
+        };
+        this.records('usage_records').set(record.id, record);
+        return record;
+    }
+
+    /**
+     * One summary for the current period: the total of the item's usage
+     * records, aggregated by its price's `aggregate_usage`.
+     */
+    listUsageRecordSummaries(id) {
+        const { subscription, item } = this.findSubscriptionItem(id);
+        const aggregation = item.price.recurring.aggregate_usage || 'sum';
+        const records = [...this.records('usage_records').values()]
+            .filter(r => r.subscription_item === id)
+            .filter(r => aggregation === 'last_ever' || r.timestamp >= subscription.current_period_start)
+            .sort((a, b) => a.timestamp - b.timestamp);
+
+        let total = 0;
+        for (const record of records) {
+            if (aggregation === 'sum') total = record.action === 'set' ? record.quantity : total + record.quantity;
+            else if (aggregation === 'max') total = Math.max(total, record.quantity);
+            else total = record.quantity;
+        }
+
+        return {
+            object: 'list',
+            url: `/v1/subscription_items/${id}/usage_record_summaries`,
+            has_more: false,
+            data: [{
+                id: `sis_${id}`,
+                object: 'usage_record_summary',
+                invoice: null,
+                livemode: false,
+                period: { start: subscription.current_period_start, end: subscription.current_period_end },
+                subscription_item: id,
+                total_usage: total
+            }]
+        };
+    }
+
+    buildMeter(params) {
+        for (const param of ['display_name', 'event_name', 'default_aggregation']) {
+            if (!params[param]) throw invalidRequest(`Missing required param: ${param}.`, param);
+        }
+        if ([...this.records('billing_meters').values()].some(m => m.event_name === params.event_name)) {
+            throw invalidRequest(`A meter with event_name \`${params.event_name}\` already exists.`, 'event_name');
+        }
+        return {
+            object: 'billing.meter',
+            customer_mapping: params.customer_mapping || { event_payload_key: 'stripe_customer_id', type: 'by_id' },
+            default_aggregation: params.default_aggregation,
+            display_name: params.display_name,
+            event_name: params.event_name,
+            event_time_window: params.event_time_window || null,
+            status: 'active',
+            updated: now(),
+            value_settings: params.value_settings || { event_payload_key: 'value' }
+        };
+    }
+
+    setMeterStatus(id, status) {
+        const meter = this.get('billing_meters', id, 'billing meter');
+        meter.status = status;
+        return meter;
+    }
+
+    createMeterEvent(params) {
+        const meter = [...this.records('billing_meters').values()].find(m => m.event_name === params.event_name);
+        if (!meter) throw invalidRequest(`No active meter found for event_name \`${params.event_name}\`.`, 'event_name');
+
+        const customerId = params.payload && params.payload[meter.customer_mapping.event_payload_key];
+        this.get('customers', customerId, 'customer');
+
+        const identifier = params.identifier || this.nextId('mev');
+        if ([...this.records('billing_meter_events').values()].some(e => e.identifier === identifier)) {
+            throw invalidRequest(`An event with identifier \`${identifier}\` already exists.`, 'identifier');
+        }
+        const event = {
+            id: identifier,
+            object: 'billing.meter_event',
+            created: now(),
+            event_name: params.event_name,
+            identifier,
+            livemode: false,
+            payload: params.payload,
+            timestamp: params.timestamp || now()
+        };
+        this.records('billing_meter_events').set(event.id, event);
+        return event;
+    }
+
+    listMeterEventSummaries(id, params) {
+        const meter = this.get('billing_meters', id, 'billing meter');
+        for (const param of ['customer', 'start_time', 'end_time']) {
+            if (params[param] === undefined) throw invalidRequest(`Missing required param: ${param}.`, param);
+        }
+        const events = [...this.records('billing_meter_events').values()].filter(e =>
+            e.event_name === meter.event_name &&
+            e.payload[meter.customer_mapping.event_payload_key] === params.customer &&
+            e.timestamp >= params.start_time && e.timestamp < params.end_time);
+
+        const values = events.map(e => Number(e.payload[meter.value_settings.event_payload_key] ?? 1));
+        const formula = meter.default_aggregation.formula;
+        const aggregated = formula === 'count' ? events.length
+            : formula === 'last' ? (values[values.length - 1] || 0)
+            : values.reduce((total, value) => total + value, 0);
+
+        return {
+            object: 'list',
+            url: `/v1/billing/meters/${id}/event_summaries`,
+            has_more: false,
+            data: [{
+                id: `mtrusg_${id}`,
+                object: 'billing.meter_event_summary',
+                aggregated_value: aggregated,
+                end_time: params.end_time,
+                livemode: false,
+                meter: id,
+                start_time: params.start_time
+            }]
+        };
+    }
+
+    expandPrice(price, fields) {
+        const expanded = clone(price);
+        // Like the API, tiers and currency options are only returned when expanded
+        if (!fields.includes('tiers')) delete expanded.tiers;
+        if (!fields.includes('currency_options')) delete expanded.currency_options;
+        if (fields.includes('product')) expanded.product = this.records('products').get(price.product) || price.product;
+        return expanded;
+    }
+
+    expandSubscriptionSchedule(schedule, fields) {
+        const expanded = clone(schedule);
+        if (fields.includes('phases.items.price')) {
+            for (const item of expanded.phases.flatMap(phase => phase.items)) {
+                item.price = this.expandPrice(this.records('prices').get(item.price) || { id: item.price }, []);
+            }
+        }
+        return expanded;
+    }
+
+    expandSubscription(subscription, fields) {
+        const expanded = clone(subscription);
+        const refreshTaxRates = (taxRates) => taxRates.map(t => clone(this.records('tax_rates').get(t.id) || t));
+        expanded.default_tax_rates = refreshTaxRates(expanded.default_tax_rates);
+        for (const item of expanded.items.data) {
+            item.price = clone(this.records('prices').get(item.price.id) || item.price);
+            item.tax_rates = refreshTaxRates(item.tax_rates || []);
+        }
+        if (fields.includes('customer')) expanded.customer = this.records('customers').get(subscription.customer) || subscription.customer;
+        if (fields.includes('items.data.price.product')) {
+            for (const item of expanded.items.data) {
+                item.price = this.expandPrice(item.price, ['product']);
+            }
+        }
+        return expanded;
+    }
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+const RESOURCE_NAMES = {
+    invoiceitems: 'invoiceItems',
+    payment_methods: 'paymentMethods',
+    promotion_codes: 'promotionCodes',
+    subscription_schedules: 'subscriptionSchedules',
+    tax_rates: 'taxRates'
+};
+
+const ERROR_PRESETS = {
+    rate_limit: { type: 'StripeRateLimitError', message: 'Too many requests hit the API too quickly.', code: 'rate_limit', statusCode: 429, headers: { 'stripe-should-retry': 'true' } },
+    connection: { type: 'StripeConnectionError', message: 'An error occurred with our connection to Stripe.' },
+    api_error: { type: 'StripeAPIError', message: 'An unknown error occurred.', statusCode: 500 },
+    invalid_request: { type: 'StripeInvalidRequestError', message: 'Invalid request.', statusCode: 400 }
+};
+
+function toStripeError(error) {
+    if (error instanceof Error) return error;
+    const spec = typeof error === 'string' ? ERROR_PRESETS[error] : error;
+    if (!spec) throw new Error(`Unknown error preset: ${error}`);
+
+    const ErrorClass = Stripe.errors[spec.type] || Stripe.errors.StripeError;
+    return new ErrorClass({ ...spec, headers: spec.headers || {} });
+}
+
+function invalidRequest(message, param, code) {
+    return new Stripe.errors.StripeInvalidRequestError({
+        message,
+        param,
+        code,
+        type: 'invalid_request_error',
+        statusCode: 400,
+        headers: {}
+    });
+}
+
+function resourceMissing(label, id) {
+    const error = invalidRequest(`No such ${label}: '${id}'`, 'id', 'resource_missing');
+    error.statusCode = 404;
+    return error;
+}
+
+function buildCustomer(params) {
+    return {
+        object: 'customer',
+        address: params.address || null,
+        balance: params.balance || 0,
+        default_source: null,
+        description: params.description || null,
+        discount: null,
+        email: params.email || null,
+        invoice_settings: {
+            custom_fields: null,
+            default_payment_method: null,
+            footer: null,
+            ...params.invoice_settings
+        },
+        metadata: params.metadata || {},
+        name: params.name || null,
+        phone: params.phone || null,
+        preferred_locales: params.preferred_locales || [],
+        shipping: params.shipping || null,
+        tax_exempt: params.tax_exempt || 'none'
+    };
+}
+
+function buildCoupon(params) {
+    if (params.percent_off === undefined && params.amount_off === undefined) {
+        throw invalidRequest('Must provide one of percent_off or amount_off.', 'percent_off');
+    }
+    if (params.amount_off !== undefined && !params.currency) {
+        throw invalidRequest('Missing required param: currency.', 'currency');
+    }
+    if (params.duration === 'repeating' && !params.duration_in_months) {
+        throw invalidRequest('Missing required param: duration_in_months.', 'duration_in_months');
+    }
+    if (params.redeem_by !== undefined && params.redeem_by < now()) {
+        throw invalidRequest('redeem_by must be in the future.', 'redeem_by');
+    }
+
+    return {
+        object: 'coupon',
+        amount_off: params.amount_off === undefined ? null : params.amount_off,
+        applies_to: params.applies_to || undefined,
+        currency: params.currency || null,
+        currency_options: params.currency_options || undefined,
+        duration: params.duration || 'once',
+        duration_in_months: params.duration_in_months || null,
+        max_redemptions: params.max_redemptions || null,
+        metadata: params.metadata || {},
+        name: params.name || null,
+        percent_off: params.percent_off === undefined ? null : params.percent_off,
+        redeem_by: params.redeem_by || null,
+        times_redeemed: 0,
+        valid: true
+    };
+}
+
+function buildPaymentMethod(params) {
+    const type = params.type || 'card';
+    return {
+        object: 'payment_method',
+        billing_details: { address: null, email: null, name: null, phone: null, ...params.billing_details },
+        ...(type === 'card' ? { card: { brand: 'visa', country: 'US', exp_month: 12, exp_year: 2030, last4: '4242', ...params.card } } : {}),
+        customer: null,
+        metadata: params.metadata || {},
+        type
+    };
+}
+
+function buildTaxRate(params) {
+    if (!params.display_name) throw invalidRequest('Missing required param: display_name.', 'display_name');
+    if (params.percentage === undefined) throw invalidRequest('Missing required param: percentage.', 'percentage');
+    if (params.inclusive === undefined) throw invalidRequest('Missing required param: inclusive.', 'inclusive');
+
+    return {
+        object: 'tax_rate',
+        active: params.active === undefined ? true : params.active,
+        country: params.country || null,
+        description: params.description || null,
+        display_name: params.display_name,
+        effective_percentage: params.percentage,
+        inclusive: params.inclusive,
+        jurisdiction: params.jurisdiction || null,
+        metadata: params.metadata || {},
+        percentage: params.percentage,
+        state: params.state || null,
+        tax_type: params.tax_type || null
+    };
+}
+
+function buildProduct(params) {
+    if (!params.name) throw invalidRequest('Missing required param: name.', 'name');
+    return {
+        object: 'product',
+        active: params.active === undefined ? true : params.active,
+        default_price: null,
+        description: params.description || null,
+        features: params.features || [],
+        images: params.images || [],
+        metadata: params.metadata || {},
+        name: params.name,
+        statement_descriptor: params.statement_descriptor || null,
+        tax_code: params.tax_code || null,
+        unit_label: params.unit_label || null,
+        updated: now(),
+        url: params.url || null
+    };
+}
+
+/**
+ * Stored the way the API returns tiers: the last one with `up_to: null`, and
+ * amounts as both integers and decimal strings.
+ */
+function buildTiers(tiers) {
+    if (tiers[tiers.length - 1].up_to !== 'inf') {
+        throw invalidRequest('The last tier must have `up_to` set to `inf`.', 'tiers');
+    }
+    return tiers.map((tier, index) => {
+        onlyOneOf(tier, 'flat_amount', 'flat_amount_decimal', `tiers[${index}]`);
+        onlyOneOf(tier, 'unit_amount', 'unit_amount_decimal', `tiers[${index}]`);
+        const amount = (integer, decimal) => integer ?? (decimal === undefined ? null : Math.round(Number(decimal)));
+        const flatAmount = amount(tier.flat_amount, tier.flat_amount_decimal);
+        const unitAmount = amount(tier.unit_amount, tier.unit_amount_decimal);
+        return {
+            flat_amount: flatAmount,
+            flat_amount_decimal: flatAmount === null ? null : String(tier.flat_amount_decimal ?? flatAmount),
+            unit_amount: unitAmount,
+            unit_amount_decimal: unitAmount === null ? null : String(tier.unit_amount_decimal ?? unitAmount),
+            up_to: tier.up_to === 'inf' ? null : tier.up_to
+        };
+    });
+}
+
+function onlyOneOf(params, first, second, prefix = null) {
+    if (params[first] !== undefined && params[second] !== undefined) {
+        const param = prefix ? `${prefix}[${second}]` : second;
+        throw invalidRequest(`You may only specify one of these parameters: ${first}, ${second}.`, param);
+    }
+}
+
+function matchesSubscriptionFilter(subscription, params) {
+    if (params.customer && subscription.customer !== params.customer) return false;
+    if (params.price && !subscription.items.data.some(i => i.price.id === params.price)) return false;
+    if (params.status === 'all') return true;
+    if (params.status) return subscription.status === params.status;
+    return !isEnded(subscription);
+}
+
+function matchesCreated(object, created) {
+    if (created === undefined) return true;
+    if (typeof created === 'number') return object.created === created;
+    if (created.gt !== undefined && !(object.created > created.gt)) return false;
+    if (created.gte !== undefined && !(object.created >= created.gte)) return false;
+    if (created.lt !== undefined && !(object.created < created.lt)) return false;
+    if (created.lte !== undefined && !(object.created <= created.lte)) return false;
+    return true;
+}
+
+function mergeMetadata(current, update) {
+    if (update === '' || update === null) return {};
+    const merged = { ...current };
+    for (const [key, value] of Object.entries(update)) {
+        if (value === '' || value === null) delete merged[key];
+        else merged[key] = String(value);
+    }
+    return merged;
+}
+
+function isEnded(subscription) {
+    return subscription.status === 'canceled' || subscription.status === 'incomplete_expired';
+}
+
+function addInterval(timestamp, interval, count = 1) {
+    const date = new Date(timestamp * 1000);
+    switch (interval) {
+        case 'day': date.setUTCDate(date.getUTCDate() + count); break;
+        case 'week': date.setUTCDate(date.getUTCDate() + 7 * count); break;
+        case 'month': date.setUTCMonth(date.getUTCMonth() + count); break;
+        case 'year': date.setUTCFullYear(date.getUTCFullYear() + count); break;
+        default: throw invalidRequest(`Invalid interval: ${interval}`, 'recurring[interval]');
+    }
+    return Math.floor(date.getTime() / 1000);
+}
+
+function now() {
+    return Math.floor(Date.now() / 1000);
+}
+
+function clone(value) {
+    return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
@@ -2,31 +2,140 @@ import Stripe from 'stripe';
 import fs from 'fs';
 import path from 'path';
 import { EventEmitter } from 'events';
+import { mapConcurrent, withRetry } from './concurrency.js';
+import { OverlayMapStore, openMapStore } from './mapStores.js';
+import { PRICE_EXPAND, pricePayload, productPayload } from './catalog.js';
+import { carryOverUsage, isMetered, meterPayload } from './usage.js';
+import { readPaymentMethodMapping } from './paymentMethods.js';
+import { BILLING_CYCLE_STRATEGIES, applyBillingCycle } from './billingCycle.js';
+import { DELINQUENT_STATUSES, OUTSTANDING_MODES, carryOverBalance, openInvoiceBalance, voidInvoices } from './outstanding.js';
+import { formatAmount } from './money.js';
+import { changedFields, diffCustomer, diffPrice, diffProduct, diffSubscription } from './reconcile.js';
+import { EXPORT_FORMATS, createExportWriter, findExportFile, loadRunId, mergeIntoExport, readExport, retireRunId, writeFileAtomic } from './exportFiles.js';
+
+// Incremental exports re-read this much before the last export time; duplicates are merged by ID
+const INCREMENTAL_OVERLAP_SECONDS = 60;
+
+// Failures after which a create may still have been carried out by Stripe
+const UNCERTAIN_ERROR_TYPES = ['StripeConnectionError', 'StripeAPIError'];
 
 /**
  * Main Stripe Migration Class
  * Emits events: 'progress', 'error', 'log'
+ *
+ * Clients can be injected instead of API keys: pass `oldStripe` / `newStripe`
+ * instances (e.g. a StripeEmulator) or a `stripeFactory(apiKey, account)`
+ * that is called with 'old' and 'new'.
+ *
+ * `exportFormat: 'ndjson'` streams customer and subscription exports to disk
+ * page by page instead of holding them in memory; migrate methods read either format.
+ *
+ * `concurrency` sets how many create calls the migrate methods keep in flight
+ * (default 1). Rate-limited and transient failures are retried up to
+ * `maxRetries` times with exponential backoff from `retryBaseDelay` ms,
+ * honoring Stripe's Retry-After / Stripe-Should-Retry headers.
+ *
+ * Creates send an idempotency key built from `runId` and the old object ID, so
+ * rerunning after a crash returns the objects the previous run already created
+ * instead of duplicating them. Without a `runId` one is generated and kept in
+ * `migration-run.json` in the export directory. A confirmed rollback replaces
+ * it, and a rolled back `runId` is refused.
+ *
+ * With `dryRun: true` the migrate methods build their payloads and run the
+ * skip/mapping logic without writing to `newStripe`; every create (or skip, with
+ * its reason) is written to `migration-plan.json` for review instead.
+ *
+ * The migration map lives in a map store: `mapStore: 'json'` (default,
+ * migration-map.json), `'sqlite'` (migration-map.sqlite) or any object with
+ * the store interface from mapStores.js.
+ *
+ * Failed creates are kept in a failure ledger (`failures.json`) until they
+ * succeed; `retryFailed()` re-drives just those records.
+ *
+ * `billingCycle` picks how migrated subscriptions keep their billing date:
+ * 'trial' (default), 'anchor' or 'backdate'; see billingCycle.js.
+ * `outstandingBalance` ('invoice_item' or 'balance') also migrates past_due
+ * and unpaid subscriptions with what they owe; see outstanding.js.
+ * 'invoice_item' collects it right away; 'balance' waits for the next
+ * invoice, up to a billing period later, and so does dunning.
+ *
+ * `paymentMethodMapping` points at the mapping file of a Stripe payment data
+ * copy; see importPaymentMethods().
+ *
+ * `verify()` reconciles the new account against the exports afterwards;
+ * `adopt()` maps objects that already exist in the new account,
+ * `rollback()` undoes a run in the new account, and `cutover()` cancels the
+ * old-account subscriptions once their copies are ready. Until then,
+ * `detectDoubleBilling()` lists customers billed in both accounts.
  */
 export class StripeMigrator extends EventEmitter {
     constructor(config) {
         super();
+        const factory = config.stripeFactory;
+
         // Validation
-        if (!config.oldApiKey) throw new Error('oldApiKey is required');
-        if (!config.newApiKey) throw new Error('newApiKey is required');
+        if (!config.oldApiKey && !config.oldStripe && !factory) throw new Error('oldApiKey is required');
+        if (!config.newApiKey && !config.newStripe && !factory) throw new Error('newApiKey is required');
 
         this.oldKey = config.oldApiKey;
         this.newKey = config.newApiKey;
         this.exportPath = config.exportPath || './exports';
 
-        this.oldStripe = new Stripe(this.oldKey);
-        this.newStripe = new Stripe(this.newKey);
+        this.oldStripe = config.oldStripe || (factory ? factory(this.oldKey, 'old') : new Stripe(this.oldKey));
+        this.newStripe = config.newStripe || (factory ? factory(this.newKey, 'new') : new Stripe(this.newKey));
 
         this.batchSize = config.batchSize || 50;
 
+        this.concurrency = config.concurrency || 1;
+        this.maxRetries = config.maxRetries ?? 5;
+        this.retryBaseDelay = config.retryBaseDelay ?? 1000;
+        this.reactivated = new Map();
+        this.pendingCoupons = new Map();
+
+        this.exportFormat = config.exportFormat || 'json';
+        if (!EXPORT_FORMATS.includes(this.exportFormat)) throw new Error(`exportFormat must be one of: ${EXPORT_FORMATS.join(', ')}`);
+
+        this.billingCycle = config.billingCycle || 'trial';
+        if (!BILLING_CYCLE_STRATEGIES.includes(this.billingCycle)) throw new Error(`billingCycle must be one of: ${BILLING_CYCLE_STRATEGIES.join(', ')}`);
+
+        this.outstandingBalance = config.outstandingBalance || null;
+        if (this.outstandingBalance && !OUTSTANDING_MODES.includes(this.outstandingBalance)) throw new Error(`outstandingBalance must be one of: ${OUTSTANDING_MODES.join(', ')}`);
+
         // Ensure export directory exists
         if (!fs.existsSync(this.exportPath)) {
             fs.mkdirSync(this.exportPath, { recursive: true });
         }
+
+        this.runId = loadRunId(this.exportPath, config.runId);
+
+        this.mapStore = config.mapStore || 'json';
+        this.paymentMethodMapping = config.paymentMethodMapping || null;
+        this.dryRun = Boolean(config.dryRun);
+        this.plan = {};
+        this.retrying = null;
+    }
+
+    /**
+     * Request options for creating the new-account copy of `oldId` in map
+     * section `section`. While retryFailed re-drives a ledger record the key
+     * gets a `:retry<attempts>` suffix, since Stripe would replay the failed
+     * attempt's cached error for the original key; after a connection error or
+     * a 5xx the create may have gone through, so the original key is kept.
+     */
+    idempotent(oldId, section) {
+        const key = `migrate:${this.runId}:${oldId}`;
+        const attempt = this.retryAttempt(section, oldId);
+        return { idempotencyKey: attempt ? `${key}:retry${attempt}` : key };
+    }
+
+    /**
+     * The ledger attempt count retryFailed is re-driving `oldId` for, if its
+     * create gets a key of its own (see idempotent()).
+     */
+    retryAttempt(section, oldId) {
+        const failure = this.retrying && this.retrying.get(`${section}:${oldId}`);
+        if (!failure || UNCERTAIN_ERROR_TYPES.includes(failure.errorType)) return null;
+        return failure.attempts;
     }
 
     log(message) {
@@ -34,81 +143,369 @@ export class StripeMigrator extends EventEmitter {
     }
 
     /**
-     * Load or initialize the migration map
+     * The migration map store (see mapStores.js), opened on first use
      */
     getMigrationMap() {
-        const mapPath = path.join(this.exportPath, 'migration-map.json');
-        if (fs.existsSync(mapPath)) {
-            return JSON.parse(fs.readFileSync(mapPath, 'utf8'));
+        if (!this.migrationMap) {
+            const store = typeof this.mapStore === 'object' ? this.mapStore : openMapStore(this.exportPath, this.mapStore);
+            // A dry run maps to placeholder IDs that only live in memory
+            this.migrationMap = this.dryRun ? new OverlayMapStore(store) : store;
+        }
+        return this.migrationMap;
+    }
+
+    saveMigrationMap(map = this.getMigrationMap()) {
+        if (this.dryRun) return this.savePlan();
+        map.flush();
+    }
+
+    /**
+     * Record what a dry run would do with an object. `entry` is
+     * `{ oldId, action: 'create' | 'skip' | 'error' | 'archive' | 'adopt', payload?, reason? }`.
+     */
+    startPlan(...sections) {
+        if (!this.dryRun) return;
+        for (const section of sections) this.plan[section] = [];
+    }
+
+    addToPlan(section, entry) {
+        if (!this.dryRun) return;
+        if (!this.plan[section]) this.plan[section] = [];
+        this.plan[section].push(entry);
+    }
+
+    savePlan() {
+        const summary = {};
+        for (const [section, entries] of Object.entries(this.plan)) {
+            summary[section] = {};
+            for (const { action } of entries) summary[section][action] = (summary[section][action] || 0) + 1;
+        }
+
+        const planPath = path.join(this.exportPath, 'migration-plan.json');
+        writeFileAtomic(planPath, JSON.stringify({
+            runId: this.runId,
+            generatedAt: new Date().toISOString(),
+            summary,
+            ...this.plan
+        }, null, 2));
+    }
+
+    /**
+     * Failures by `<type>:<old id>`, loaded from failures.json on first use.
+     */
+    getFailureLedger() {
+        if (!this.failures) {
+            const ledgerPath = path.join(this.exportPath, 'failures.json');
+            const records = fs.existsSync(ledgerPath) ? JSON.parse(fs.readFileSync(ledgerPath, 'utf8')) : [];
+            this.failures = new Map(records.map(record => [`${record.type}:${record.oldId}`, record]));
         }
-        return { customers: {}, products: {}, prices: {}, subscriptions: {} };
+        return this.failures;
+    }
+
+    saveFailureLedger() {
+        const ledgerPath = path.join(this.exportPath, 'failures.json');
+        writeFileAtomic(ledgerPath, JSON.stringify([...this.getFailureLedger().values()], null, 2));
+    }
+
+    /**
+     * Add a failed create to the ledger. `type` is the migration map section
+     * ('customers', 'prices', ...). In a dry run it goes into the plan instead.
+     */
+    recordFailure(type, oldId, error) {
+        if (this.dryRun) {
+            this.addToPlan(type, { oldId, action: 'error', reason: error.message });
+            return;
+        }
+
+        const ledger = this.getFailureLedger();
+        const previous = ledger.get(`${type}:${oldId}`);
+        const timestamp = new Date().toISOString();
+        ledger.set(`${type}:${oldId}`, {
+            type,
+            oldId,
+            code: error.code || null,
+            errorType: error.type || error.name,
+            param: error.param || null,
+            message: error.message,
+            attempts: previous ? previous.attempts + 1 : 1,
+            firstFailedAt: previous ? previous.firstFailedAt : timestamp,
+            lastFailedAt: timestamp
+        });
+        this.saveFailureLedger();
+    }
+
+    clearFailure(type, oldId) {
+        if (this.dryRun) return;
+        if (this.getFailureLedger().delete(`${type}:${oldId}`)) this.saveFailureLedger();
+    }
+
+    /**
+     * Ledger records, optionally filtered by `type` and/or Stripe `errorCode`.
+     */
+    getFailures({ type, errorCode } = {}) {
+        return [...this.getFailureLedger().values()].filter(record =>
+            (!type || record.type === type) && (!errorCode || record.code === errorCode));
+    }
+
+    /**
+     * Re-drive only the failed records matching `filter` (see getFailures),
+     * in migration order. Returns the records that still fail.
+     */
+    async retryFailed(filter = {}) {
+        const failures = this.getFailures(filter);
+        this.log(`Retrying ${failures.length} failed records...`);
+        if (failures.length === 0) return [];
+
+        const only = new Set(failures.map(record => record.oldId));
+        const types = new Set(failures.map(record => record.type));
+
+        // Ledger records as they were before this retry, for idempotent()
+        this.retrying = new Map(failures.map(record => [`${record.type}:${record.oldId}`, record]));
+        try {
+            if (types.has('meters')) await this.migrateMeters({ only });
+            if (types.has('products') || types.has('prices')) await this.migrateProducts({ only });
+            if (types.has('taxRates')) await this.migrateTaxRates({ only });
+            if (types.has('coupons') || types.has('promotionCodes')) await this.migrateCoupons({ only });
+            if (types.has('customers')) await this.migrateCustomers({ only });
+            if (types.has('paymentMethods')) await this.importPaymentMethods({ only });
+            if (types.has('subscriptions')) await this.migrateSubscriptions({ only });
+            if (types.has('subscriptionSchedules')) await this.migrateSubscriptionSchedules({ only });
+        } finally {
+            this.retrying = null;
+        }
+
+        const remaining = this.getFailures(filter);
+        this.log(`✅ Retry complete. ${failures.length - remaining.length} fixed, ${remaining.length} still failing.`);
+        return remaining;
+    }
+
+    /**
+     * Create the new-account copy of `oldId`, tagged with the run ID
+     * (`metadata.migration_run_id`) so a rollback can select it. In a dry run
+     * the payload is only added to the plan and a placeholder object is returned.
+     *
+     * An object created under a retry key is mapped and the map saved before
+     * its ledger record is cleared: a rerun after a crash uses the original
+     * key, which holds no object, so the map entry is all that prevents a
+     * duplicate.
+     */
+    async createObject(section, resource, object, oldId) {
+        // Billing meters have no metadata
+        const payload = section === 'meters' ? object : { ...object, metadata: { ...object.metadata, migration_run_id: this.runId } };
+        const options = this.idempotent(oldId, section);
+        if (this.dryRun) {
+            this.addToPlan(section, { oldId, action: 'create', payload, idempotencyKey: options.idempotencyKey });
+            return { id: payload.id || `dry_run_${oldId}` };
+        }
+        const created = await this.request(() => resource.create(payload, options));
+        if (this.retryAttempt(section, oldId)) {
+            const migrationMap = this.getMigrationMap();
+            migrationMap.set(section, oldId, created.id);
+            this.saveMigrationMap(migrationMap);
+        }
+        this.clearFailure(section, oldId);
+        return created;
+    }
+
+    /**
+     * Make a Stripe call, retrying rate limits and transient errors with backoff.
+     */
+    request(fn) {
+        return withRetry(fn, {
+            maxRetries: this.maxRetries,
+            baseDelay: this.retryBaseDelay,
+            onRetry: (error, attempt, delay) => {
+                this.log(`⏳ ${error.message} Retrying in ${(delay / 1000).toFixed(1)}s (attempt ${attempt}/${this.maxRetries})...`);
+            }
+        });
+    }
+
+    /**
+     * Page through a list endpoint and return every object.
+     */
+    async listAll(resource, params = {}, onPage) {
+        const objects = [];
+        let startingAfter = undefined;
+
+        do {
+            const response = await this.request(() => resource.list({ ...params, limit: 100, starting_after: startingAfter }));
+            objects.push(...response.data);
+            if (onPage) onPage(response.data, objects.length);
+
+            startingAfter = response.has_more ? response.data[response.data.length - 1].id : undefined;
+        } while (startingAfter);
+
+        return objects;
     }
 
-    saveMigrationMap(map) {
-        const mapPath = path.join(this.exportPath, 'migration-map.json');
-        fs.writeFileSync(mapPath, JSON.stringify(map, null, 2));
+    /**
+     * Page through a list endpoint one object at a time.
+     */
+    async *listEach(resource, params = {}) {
+        let startingAfter = undefined;
+        do {
+            const response = await this.request(() => resource.list({ ...params, limit: 100, starting_after: startingAfter }));
+            yield* response.data;
+            startingAfter = response.has_more ? response.data[response.data.length - 1].id : undefined;
+        } while (startingAfter);
     }
 
     // =========================================================================
     // EXPORT METHODS
     // =========================================================================
 
-    async exportCustomers() {
-        this.log('Starting customer export...');
-        const customers = [];
-        let hasMore = true;
-        let startingAfter = undefined;
-        let pageCount = 0;
+    /**
+     * Page through `resource.list(params)` into the `name` export. The cursor is
+     * checkpointed after every page, so an export that fails part way (a 429, a
+     * network blip) continues from the last completed page on the next run.
+     * Pass `{ resume: false }` to start over.
+     *
+     * With `{ incremental: true }` only objects created since the last export
+     * are fetched (`created[gt]`) and merged into the existing export file;
+     * `count` is then the number of new objects.
+     */
+    async exportList(name, resource, params, options = {}) {
+        if (!options.incremental) {
+            const result = await this.pageToExport(name, resource, params, options);
+            this.recordExportTime(name, result.startedAt);
+            return result;
+        }
 
-        try {
-            while (hasMore) {
-                pageCount++;
-                this.emit('progress', { stage: 'export_customers', message: `Fetching page ${pageCount}...`, count: customers.length });
+        const since = this.getIncrementalSince(name);
+        this.log(`Fetching ${name} created since ${new Date(since * 1000).toISOString()}...`);
+
+        const delta = await this.pageToExport(`${name}-delta`, resource, { ...params, created: { gt: since } }, options);
+        const count = await mergeIntoExport(this.exportPath, name, delta.records || readExport(this.exportPath, `${name}-delta`));
+        fs.unlinkSync(delta.file);
 
-                const response = await this.oldStripe.customers.list({
-                    limit: 100,
-                    starting_after: startingAfter,
-                    expand: ['data.subscriptions', 'data.default_source']
-                });
+        this.recordExportTime(name, delta.startedAt);
+        return { file: findExportFile(this.exportPath, name), count };
+    }
 
-                customers.push(...response.data);
-                hasMore = response.has_more;
+    async pageToExport(name, resource, params, options) {
+        const writer = createExportWriter(this.exportPath, name, this.exportFormat, { resume: options.resume });
+        const stage = `export_${name.replace(/-/g, '_')}`;
+        let {
+            startingAfter,
+            hasMore = true,
+            pageCount = 0,
+            count = 0,
+            startedAt = Math.floor(Date.now() / 1000)
+        } = writer.checkpoint || {};
+
+        if (writer.checkpoint) {
+            this.log(`Resuming ${name} export after ${count} records (page ${pageCount})...`);
+        }
 
-                if (hasMore) {
-                    startingAfter = response.data[response.data.length - 1].id;
-                }
-            }
+        while (hasMore) {
+            pageCount++;
+            this.emit('progress', { stage, message: `Fetching page ${pageCount}...`, count });
+
+            const response = await this.request(() => resource.list({
+                ...params,
+                limit: 100,
+                starting_after: startingAfter
+            }));
+
+            hasMore = response.has_more;
+            if (hasMore) startingAfter = response.data[response.data.length - 1].id;
+
+            count += response.data.length;
+            writer.write(response.data, { startingAfter, hasMore, pageCount, startedAt });
+        }
+
+        return { ...writer.finish(), startedAt };
+    }
+
+    /**
+     * Export times are kept in export-state.json, one entry per export.
+     */
+    getExportState() {
+        const statePath = path.join(this.exportPath, 'export-state.json');
+        return fs.existsSync(statePath) ? JSON.parse(fs.readFileSync(statePath, 'utf8')) : {};
+    }
+
+    recordExportTime(name, startedAt) {
+        const state = this.getExportState();
+        state[name] = { lastExportedAt: startedAt, lastExportedAtIso: new Date(startedAt * 1000).toISOString() };
+        writeFileAtomic(path.join(this.exportPath, 'export-state.json'), JSON.stringify(state, null, 2));
+    }
 
-            const exportFile = path.join(this.exportPath, 'customers-export.json');
-            fs.writeFileSync(exportFile, JSON.stringify(customers, null, 2));
+    getIncrementalSince(name) {
+        const state = this.getExportState()[name];
+        if (!state) throw new Error(`No previous ${name} export to update. Run a full export first.`);
+        return state.lastExportedAt - INCREMENTAL_OVERLAP_SECONDS;
+    }
+
+    /**
+     * Export all customers. Returns the customers, or only their count in NDJSON mode.
+     * `{ incremental: true }` merges in only the customers created since the last
+     * export and returns how many were added.
+     */
+    async exportCustomers(options = {}) {
+        this.log('Starting customer export...');
+        try {
+            const { records, count } = await this.exportList('customers', this.oldStripe.customers, {
+                expand: ['data.subscriptions', 'data.default_source']
+            }, options);
 
-            this.log(`✅ Export complete! ${customers.length} customers exported.`);
-            return customers;
+            this.log(`✅ Export complete! ${count} ${options.incremental ? 'new ' : ''}customers exported.`);
+            return records || count;
         } catch (error) {
             this.emit('error', error);
             throw error;
         }
     }
 
-    async exportProducts() {
+    /**
+     * Export active products and prices. `{ incremental: true }` adds only the
+     * ones created since the last export to the existing products export.
+     */
+    async exportProducts(options = {}) {
         this.log('Starting products and prices export...');
         try {
+            const startedAt = Math.floor(Date.now() / 1000);
+            const params = { active: true };
+            if (options.incremental) {
+                params.created = { gt: this.getIncrementalSince('products') };
+            }
+
             this.emit('progress', { stage: 'export_products', message: 'Fetching products...' });
-            const products = await this.oldStripe.products.list({ limit: 100, active: true });
+            const products = await this.listAll(this.oldStripe.products, params, (page, count) =>
+                this.emit('progress', { stage: 'export_products', message: 'Fetching products...', count }));
 
             this.emit('progress', { stage: 'export_products', message: 'Fetching prices...' });
-            const prices = await this.oldStripe.prices.list({ limit: 100, active: true });
-
-            const exportData = {
-                products: products.data,
-                prices: prices.data,
+            const priceParams = { ...params, expand: PRICE_EXPAND.map(field => `data.${field}`) };
+            const prices = await this.listAll(this.oldStripe.prices, priceParams, (page, count) =>
+                this.emit('progress', { stage: 'export_products', message: 'Fetching prices...', count }));
+
+            let exportData = {
+                products,
+                prices,
+                archived: { products: [], prices: [] },
                 exportDate: new Date().toISOString()
             };
 
+            if (options.incremental) {
+                exportData = this.mergeProductsExport(exportData);
+            }
+
+            // Pull in archived prices still used by live subscriptions and schedules, if those are already exported
+            for (const name of ['subscriptions', 'subscription-schedules']) {
+                if (findExportFile(this.exportPath, name)) {
+                    await this.addReferencedProducts(exportData, readExport(this.exportPath, name));
+                }
+            }
+
             const exportFile = path.join(this.exportPath, 'products-export.json');
             fs.writeFileSync(exportFile, JSON.stringify(exportData, null, 2));
+            this.recordExportTime('products', startedAt);
 
-            this.log(`✅ Export complete! ${products.data.length} products and ${prices.data.length} prices exported.`);
+            if (options.incremental) {
+                this.log(`✅ Export complete! ${products.length} new products and ${prices.length} new prices fetched.`);
+            } else {
+                this.log(`✅ Export complete! ${exportData.products.length} products and ${exportData.prices.length} prices exported (${exportData.archived.prices.length} archived prices).`);
+            }
             return exportData;
         } catch (error) {
             this.emit('error', error);
@@ -116,34 +513,189 @@ export class StripeMigrator extends EventEmitter {
         }
     }
 
-    async exportSubscriptions() {
+    /**
+     * Merge newly fetched products and prices into the existing products export,
+     * skipping IDs it already has.
+     */
+    mergeProductsExport(delta) {
+        const exportFile = path.join(this.exportPath, 'products-export.json');
+        if (!fs.existsSync(exportFile)) throw new Error(`No products export found in ${this.exportPath}`);
+
+        const existing = JSON.parse(fs.readFileSync(exportFile));
+        const productIds = new Set(existing.products.map(p => p.id));
+        const priceIds = new Set(existing.prices.map(p => p.id));
+
+        return {
+            ...existing,
+            products: [...existing.products, ...delta.products.filter(p => !productIds.has(p.id))],
+            prices: [...existing.prices, ...delta.prices.filter(p => !priceIds.has(p.id))],
+            archived: existing.archived || { products: [], prices: [] },
+            exportDate: delta.exportDate
+        };
+    }
+
+    /**
+     * Add inactive prices (and their products) that live subscriptions or
+     * subscription schedules still use, plus any inactive product owning an
+     * exported price. They are listed under `archived` so migrateProducts
+     * recreates them as archived.
+     * `subscriptions` may be an array or an async iterable (streamed export).
+     */
+    async addReferencedProducts(exportData, subscriptions) {
+        if (!exportData.archived) exportData.archived = { products: [], prices: [] };
+        const priceIds = new Set(exportData.prices.map(p => p.id));
+
+        for await (const sub of subscriptions) {
+            if (['canceled', 'incomplete_expired', 'completed', 'released'].includes(sub.status)) continue;
+
+            // Schedules use prices through their phases
+            const items = sub.phases ? sub.phases.flatMap(phase => phase.items) : sub.items.data;
+            for (const item of items) {
+                const priceId = typeof item.price === 'string' ? item.price : item.price.id;
+                if (priceIds.has(priceId)) continue;
+
+                const price = await this.request(() => this.oldStripe.prices.retrieve(priceId, { expand: PRICE_EXPAND }));
+                exportData.prices.push(price);
+                exportData.archived.prices.push(price.id);
+                priceIds.add(price.id);
+                this.log(`Including archived price ${price.id} used by ${sub.id}`);
+            }
+        }
+
+        const productIds = new Set(exportData.products.map(p => p.id));
+        for (const price of exportData.prices) {
+            if (productIds.has(price.product)) continue;
+
+            const product = await this.request(() => this.oldStripe.products.retrieve(price.product));
+            exportData.products.push(product);
+            exportData.archived.products.push(product.id);
+            productIds.add(product.id);
+            this.log(`Including archived product ${product.id} for price ${price.id}`);
+        }
+
+        return exportData;
+    }
+
+    /**
+     * Export all subscriptions. Returns the subscriptions, or only their count in NDJSON mode.
+     * `{ incremental: true }` merges in only the subscriptions created since the last
+     * export and returns how many were added.
+     */
+    async exportSubscriptions(options = {}) {
         this.log('Starting subscriptions export...');
-        const subscriptions = [];
-        let hasMore = true;
-        let startingAfter = undefined;
+        try {
+            const { records, count } = await this.exportList('subscriptions', this.oldStripe.subscriptions, {
+                status: 'all',
+                expand: ['data.items.data.price']
+            }, options);
+
+            await this.backfillProductsExport(records || readExport(this.exportPath, 'subscriptions'));
+
+            this.log(`✅ Export complete! ${count} ${options.incremental ? 'new ' : ''}subscriptions exported.`);
+            return records || count;
+        } catch (error) {
+            this.emit('error', error);
+            throw error;
+        }
+    }
 
+    /**
+     * Export subscription schedules with their phase prices expanded. Returns the
+     * schedules, or only their count in NDJSON mode; takes `{ incremental: true }`
+     * like exportSubscriptions.
+     */
+    async exportSubscriptionSchedules(options = {}) {
+        this.log('Starting subscription schedules export...');
         try {
-            while (hasMore) {
-                this.emit('progress', { stage: 'export_subscriptions', message: `Fetching subscriptions...`, count: subscriptions.length });
+            const { records, count } = await this.exportList('subscription-schedules', this.oldStripe.subscriptionSchedules, {
+                expand: ['data.phases.items.price']
+            }, options);
+
+            await this.backfillProductsExport(records || readExport(this.exportPath, 'subscription-schedules'));
+
+            this.log(`✅ Export complete! ${count} ${options.incremental ? 'new ' : ''}subscription schedules exported.`);
+            return records || count;
+        } catch (error) {
+            this.emit('error', error);
+            throw error;
+        }
+    }
 
-                const response = await this.oldStripe.subscriptions.list({
-                    limit: 100,
-                    starting_after: startingAfter,
-                    status: 'all',
-                    expand: ['data.items.data.price']
-                });
+    /**
+     * Add the archived prices used by `subscriptions` (see addReferencedProducts)
+     * to an existing products export.
+     */
+    async backfillProductsExport(subscriptions) {
+        const productsFile = path.join(this.exportPath, 'products-export.json');
+        if (!fs.existsSync(productsFile)) return;
+
+        const productsData = JSON.parse(fs.readFileSync(productsFile));
+        const archivedCount = productsData.archived ? productsData.archived.prices.length : 0;
+        await this.addReferencedProducts(productsData, subscriptions);
+        if (productsData.archived.prices.length !== archivedCount) {
+            fs.writeFileSync(productsFile, JSON.stringify(productsData, null, 2));
+        }
+    }
 
-                subscriptions.push(...response.data);
-                hasMore = response.has_more;
+    async exportCoupons() {
+        this.log('Starting coupons and promotion codes export...');
+        try {
+            this.emit('progress', { stage: 'export_coupons', message: 'Fetching coupons...' });
+            const coupons = await this.listAll(this.oldStripe.coupons, {}, (page, count) =>
+                this.emit('progress', { stage: 'export_coupons', message: 'Fetching coupons...', count }));
 
-                if (hasMore) startingAfter = response.data[response.data.length - 1].id;
-            }
+            this.emit('progress', { stage: 'export_coupons', message: 'Fetching promotion codes...' });
+            const promotionCodes = await this.listAll(this.oldStripe.promotionCodes, {}, (page, count) =>
+                this.emit('progress', { stage: 'export_coupons', message: 'Fetching promotion codes...', count }));
 
-            const exportFile = path.join(this.exportPath, 'subscriptions-export.json');
-            fs.writeFileSync(exportFile, JSON.stringify(subscriptions, null, 2));
+            const exportData = {
+                coupons,
+                promotionCodes,
+                exportDate: new Date().toISOString()
+            };
+
+            const exportFile = path.join(this.exportPath, 'coupons-export.json');
+            fs.writeFileSync(exportFile, JSON.stringify(exportData, null, 2));
+
+            this.log(`✅ Export complete! ${coupons.length} coupons and ${promotionCodes.length} promotion codes exported.`);
+            return exportData;
+        } catch (error) {
+            this.emit('error', error);
+            throw error;
+        }
+    }
+
+    async exportTaxRates() {
+        this.log('Starting tax rates export...');
+        try {
+            this.emit('progress', { stage: 'export_tax_rates', message: 'Fetching tax rates...' });
+            const taxRates = await this.listAll(this.oldStripe.taxRates);
+
+            const exportFile = path.join(this.exportPath, 'tax-rates-export.json');
+            fs.writeFileSync(exportFile, JSON.stringify({ taxRates, exportDate: new Date().toISOString() }, null, 2));
+
+            this.log(`✅ Export complete! ${taxRates.length} tax rates exported.`);
+            return taxRates;
+        } catch (error) {
+            this.emit('error', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Export the billing meters that metered prices report usage to.
+     */
+    async exportMeters() {
+        this.log('Starting billing meters export...');
+        try {
+            this.emit('progress', { stage: 'export_meters', message: 'Fetching billing meters...' });
+            const meters = await this.listAll(this.oldStripe.billing.meters);
+
+            const exportFile = path.join(this.exportPath, 'meters-export.json');
+            fs.writeFileSync(exportFile, JSON.stringify({ meters, exportDate: new Date().toISOString() }, null, 2));
 
-            this.log(`✅ Export complete! ${subscriptions.length} subscriptions exported.`);
-            return subscriptions;
+            this.log(`✅ Export complete! ${meters.length} billing meters exported.`);
+            return meters;
         } catch (error) {
             this.emit('error', error);
             throw error;
@@ -154,124 +706,533 @@ export class StripeMigrator extends EventEmitter {
     // MIGRATE METHODS
     // =========================================================================
 
-    async migrateProducts() {
+    /**
+     * Recreate billing meters with the same event names, so metered prices can
+     * point at them and usage keeps being reported the same way. Run before
+     * migrateProducts. Deactivated meters are deactivated again after creation.
+     */
+    async migrateMeters(options = {}) {
+        this.log('Starting billing meter migration...');
+        this.startPlan('meters');
+        const exportFile = path.join(this.exportPath, 'meters-export.json');
+        if (!fs.existsSync(exportFile)) throw new Error('Meters export not found. Run exportMeters() first.');
+
+        const { meters } = JSON.parse(fs.readFileSync(exportFile));
+        const migrationMap = this.getMigrationMap();
+
+        for (const [index, meter] of meters.entries()) {
+            if (options.only && !options.only.has(meter.id)) continue;
+            if (migrationMap.get('meters', meter.id)) {
+                this.addToPlan('meters', { oldId: meter.id, action: 'skip', reason: 'Already migrated' });
+                continue;
+            }
+
+            try {
+                this.emit('progress', { stage: 'migrate_meters', message: `Migrating meter ${index + 1}/${meters.length}`, current: meter.event_name });
+
+                const newMeter = await this.createObject('meters', this.newStripe.billing.meters, meterPayload(meter), meter.id);
+                migrationMap.set('meters', meter.id, newMeter.id);
+
+                if (meter.status === 'inactive') {
+                    if (this.dryRun) {
+                        this.addToPlan('meters', { oldId: meter.id, action: 'archive' });
+                    } else {
+                        await this.request(() => this.newStripe.billing.meters.deactivate(newMeter.id));
+                    }
+                }
+            } catch (err) {
+                this.log(`❌ Failed to migrate meter ${meter.id}: ${err.message}`);
+                this.recordFailure('meters', meter.id, err);
+            }
+        }
+        this.saveMigrationMap(migrationMap);
+        this.log('✅ Billing meter migration complete.');
+    }
+
+    /**
+     * Migrate products and prices. Migrate methods take `{ only }`, a Set of old
+     * IDs to limit the run to (used by retryFailed).
+     *
+     * With `{ sync: true }`, products, prices and customers that are already
+     * migrated are compared with their export and updated (see syncObject);
+     * a price whose amount, currency or interval changed is replaced.
+     */
+    async migrateProducts(options = {}) {
         this.log('Starting product migration...');
+        this.startPlan('products', 'prices');
         const exportFile = path.join(this.exportPath, 'products-export.json');
         if (!fs.existsSync(exportFile)) throw new Error('Products export not found. Run exportProducts() first.');
 
-        const { products, prices } = JSON.parse(fs.readFileSync(exportFile));
+        const { products, prices, archived = { products: [] } } = JSON.parse(fs.readFileSync(exportFile));
         const migrationMap = this.getMigrationMap();
+        const archivedProducts = [];
+        const createdProducts = new Set();
 
         // 1. Products
-        for (const [index, product] of products.entries()) {
-            if (migrationMap.products[product.id]) continue; // Skip
+        await mapConcurrent(products, this.concurrency, async (product, index) => {
+            if (options.only && !options.only.has(product.id)) return;
+            const productId = migrationMap.get('products', product.id);
+            if (productId) {
+                if (options.sync) {
+                    await this.syncObject('products', product.id, productId, productPayload(product));
+                } else {
+                    this.addToPlan('products', { oldId: product.id, action: 'skip', reason: 'Already migrated' });
+                }
+                return;
+            }
 
             try {
                 this.emit('progress', { stage: 'migrate_products', message: `Migrating product ${index + 1}/${products.length}`, current: product.name });
 
-                // Clean product payload
-                const productPayload = {
-                    name: product.name,
-                    metadata: { ...product.metadata, old_stripe_product_id: product.id },
-                    active: product.active,
-                    images: product.images
-                };
-                if (product.description) productPayload.description = product.description;
+                const payload = productPayload(product);
 
-                const newProduct = await this.newStripe.products.create(productPayload);
+                // Archived products are created active so their prices can be added, then archived below
+                const isArchived = archived.products.includes(product.id);
+                if (isArchived) payload.active = true;
 
-                migrationMap.products[product.id] = newProduct.id;
+                const newProduct = await this.createObject('products', this.newStripe.products, payload, product.id);
+
+                migrationMap.set('products', product.id, newProduct.id);
+                createdProducts.add(product.id);
+                if (isArchived) archivedProducts.push(product.id);
             } catch (err) {
                 this.log(`❌ Failed to migrate product ${product.id}: ${err.message}`);
+                this.recordFailure('products', product.id, err);
             }
-        }
+        });
         this.saveMigrationMap(migrationMap);
 
         // 2. Prices
-        for (const [index, price] of prices.entries()) {
-            if (migrationMap.prices[price.id]) continue;
+        await mapConcurrent(prices, this.concurrency, async (price, index) => {
+            if (options.only && !options.only.has(price.id)) return;
+            const priceId = migrationMap.get('prices', price.id);
+            if (priceId) {
+                if (options.sync) {
+                    await this.syncPrice(price, priceId, migrationMap);
+                } else {
+                    this.addToPlan('prices', { oldId: price.id, action: 'skip', reason: 'Already migrated' });
+                }
+                return;
+            }
 
             try {
-                const newProductId = migrationMap.products[price.product];
+                const newProductId = migrationMap.get('products', price.product);
                 if (!newProductId) {
                     this.log(`⚠️ Skipping price ${price.id}: Parent product not migrated.`);
-                    continue;
+                    this.addToPlan('prices', { oldId: price.id, action: 'skip', reason: 'Parent product not migrated' });
+                    return;
                 }
 
                 this.emit('progress', { stage: 'migrate_prices', message: `Migrating price ${index + 1}/${prices.length}`, current: price.id });
 
-                const priceData = {
-                    product: newProductId,
-                    currency: price.currency,
-                    metadata: { ...price.metadata, old_stripe_price_id: price.id },
-                    active: price.active,
-                    nickname: price.nickname,
-                };
+                const priceData = pricePayload(price, newProductId, this.newMeterId(price, migrationMap));
+                const newPrice = await this.createObject('prices', this.newStripe.prices, priceData, price.id);
+                migrationMap.set('prices', price.id, newPrice.id);
+            } catch (err) {
+                this.log(`❌ Failed to migrate price ${price.id}: ${err.message}`);
+                this.recordFailure('prices', price.id, err);
+            }
+        });
+        this.saveMigrationMap(migrationMap);
 
-                if (price.unit_amount !== null && price.unit_amount !== undefined) {
-                    priceData.unit_amount = price.unit_amount;
+        // 3. Default prices, once the product and its price both exist
+        const activePrices = new Set(prices.filter(price => price.active).map(price => price.id));
+        for (const product of products) {
+            const oldPriceId = product.default_price && (product.default_price.id || product.default_price);
+            if (!activePrices.has(oldPriceId) || (options.only && !options.only.has(product.id))) continue;
+
+            const productId = migrationMap.get('products', product.id);
+            const priceId = migrationMap.get('prices', oldPriceId);
+            if (!productId || !priceId) continue;
+
+            if (!createdProducts.has(product.id)) {
+                if (options.sync) await this.syncObject('products', product.id, productId, { default_price: priceId });
+            } else if (this.dryRun) {
+                this.addToPlan('products', { oldId: product.id, action: 'update', payload: { default_price: priceId } });
+            } else {
+                try {
+                    await this.request(() => this.newStripe.products.update(productId, { default_price: priceId }));
+                } catch (err) {
+                    this.log(`❌ Failed to set the default price of product ${productId}: ${err.message}`);
                 }
+            }
+        }
+
+        // 4. Archive the products that were only exported for their archived prices
+        for (const oldProductId of archivedProducts) {
+            const productId = migrationMap.get('products', oldProductId);
+            if (this.dryRun) {
+                this.addToPlan('products', { oldId: oldProductId, action: 'archive', payload: { active: false } });
+                continue;
+            }
+            try {
+                await this.request(() => this.newStripe.products.update(productId, { active: false }));
+            } catch (err) {
+                this.log(`❌ Failed to archive product ${productId}: ${err.message}`);
+            }
+        }
+        if (this.dryRun) this.savePlan();
+        this.log('✅ Product and Price migration complete.');
+    }
 
-                // Add optional fields only if they exist
-                if (price.recurring) {
-                    const recurring = { ...price.recurring };
-                    // Stripe API rejects null trial_period_days, must be undefined or valid integer
-                    if (recurring.trial_period_days === null) delete recurring.trial_period_days;
-                    // Remove other potential nulls in recurring that Stripe might complain about
-                    if (recurring.aggregate_usage === null) delete recurring.aggregate_usage;
-                    if (recurring.meter === null) delete recurring.meter;
+    newMeterId(price, migrationMap) {
+        return price.recurring && price.recurring.meter ? migrationMap.get('meters', price.recurring.meter) : null;
+    }
 
-                    priceData.recurring = recurring;
-                }
-                if (price.billing_scheme === 'tiered') {
-                    priceData.billing_scheme = 'tiered';
-                    if (price.tiers_mode) priceData.tiers_mode = price.tiers_mode;
-                    if (price.tiers) priceData.tiers = price.tiers;
-                }
+    customerPayload(customer) {
+        return {
+            email: customer.email,
+            name: customer.name,
+            phone: customer.phone,
+            description: customer.description,
+            address: customer.address,
+            shipping: customer.shipping,
+            tax_exempt: customer.tax_exempt,
+            preferred_locales: customer.preferred_locales,
+            metadata: { ...customer.metadata, old_stripe_customer_id: customer.id }
+        };
+    }
 
-                if (price.tax_behavior && price.tax_behavior !== '') {
-                    priceData.tax_behavior = price.tax_behavior;
-                }
+    /**
+     * Bring an already migrated object up to date with its export: the fields
+     * of `payload` that differ from the new-account object are sent in one
+     * update. Metadata keys are only added or changed, never removed.
+     */
+    async syncObject(section, oldId, newId, payload) {
+        try {
+            const current = await this.request(() => this.newStripe[section].retrieve(newId));
+            if (current.deleted) {
+                this.log(`⚠️ Cannot update ${section} ${oldId}: ${newId} was deleted.`);
+                this.addToPlan(section, { oldId, action: 'skip', reason: `${newId} was deleted` });
+                return;
+            }
 
+            const changes = changedFields(payload, current);
+            if (Object.keys(changes).length === 0) {
+                this.addToPlan(section, { oldId, action: 'skip', reason: 'Up to date' });
+                return;
+            }
+            // Only prices have lookup keys; take it over from whichever price holds it
+            if (changes.lookup_key) changes.transfer_lookup_key = true;
+            if (this.dryRun) {
+                this.addToPlan(section, { oldId, action: 'update', newId, payload: changes });
+                return;
+            }
 
+            await this.request(() => this.newStripe[section].update(newId, changes));
+            this.clearFailure(section, oldId);
+            this.log(`🔄 Updated ${section} ${newId}: ${Object.keys(changes).join(', ')}`);
+        } catch (err) {
+            this.log(`❌ Failed to update ${section} ${oldId}: ${err.message}`);
+            this.recordFailure(section, oldId, err);
+        }
+    }
 
-                const newPrice = await this.newStripe.prices.create(priceData);
-                migrationMap.prices[price.id] = newPrice.id;
-            } catch (err) {
-                this.log(`❌ Failed to migrate price ${price.id}: ${err.message}`);
-                console.log('Failed Payload:', JSON.stringify(price, null, 2));
+    /**
+     * Sync a migrated price. Amount, currency, interval and product cannot be
+     * changed on a price, so if one of them differs a replacement price is
+     * created, the previous one archived with `metadata.replaced_by` (existing
+     * subscriptions keep billing on it) and the map pointed at the replacement.
+     */
+    async syncPrice(price, newId, migrationMap) {
+        const newProductId = migrationMap.get('products', price.product);
+        if (!newProductId) {
+            this.addToPlan('prices', { oldId: price.id, action: 'skip', reason: 'Parent product not migrated' });
+            return;
+        }
+
+        const payload = pricePayload(price, newProductId, this.newMeterId(price, migrationMap));
+        try {
+            const current = await this.request(() => this.newStripe.prices.retrieve(newId));
+            const immutable = diffPrice(price, current, migrationMap).filter(diff => !diff.field.startsWith('metadata.'));
+            if (immutable.length === 0) {
+                const { nickname, active, metadata, lookup_key } = payload;
+                return this.syncObject('prices', price.id, newId, { nickname, active, metadata, lookup_key });
+            }
+
+            // Keyed on the price being replaced, so every replacement gets its own idempotency key
+            const replacement = await this.createObject('prices', this.newStripe.prices, payload, `${price.id}:replaces:${newId}`);
+            // replaced_by keeps verify() from reporting the archived price as an orphan
+            const archive = { active: false, metadata: { replaced_by: replacement.id } };
+            if (this.dryRun) {
+                this.addToPlan('prices', { oldId: price.id, action: 'archive', newId, payload: archive });
+            } else {
+                await this.request(() => this.newStripe.prices.update(newId, archive));
             }
+            migrationMap.set('prices', price.id, replacement.id);
+            this.clearFailure('prices', price.id);
+            if (!this.dryRun) this.log(`🔄 Replaced price ${newId} with ${replacement.id}: ${immutable.map(diff => diff.field).join(', ')} changed`);
+        } catch (err) {
+            this.log(`❌ Failed to update price ${price.id}: ${err.message}`);
+            this.recordFailure('prices', price.id, err);
         }
-        this.saveMigrationMap(migrationMap);
-        this.log('✅ Product and Price migration complete.');
     }
 
-    async migrateCustomers() {
-        this.log('Starting customer migration...');
-        const exportFile = path.join(this.exportPath, 'customers-export.json');
-        if (!fs.existsSync(exportFile)) throw new Error('Customers export not found. Run exportCustomers() first.');
+    async migrateTaxRates(options = {}) {
+        this.log('Starting tax rate migration...');
+        this.startPlan('taxRates');
+        const exportFile = path.join(this.exportPath, 'tax-rates-export.json');
+        if (!fs.existsSync(exportFile)) throw new Error('Tax rates export not found. Run exportTaxRates() first.');
+
+        const { taxRates } = JSON.parse(fs.readFileSync(exportFile));
+        const migrationMap = this.getMigrationMap();
+
+        for (const [index, taxRate] of taxRates.entries()) {
+            if (options.only && !options.only.has(taxRate.id)) continue;
+            if (migrationMap.get('taxRates', taxRate.id)) {
+                this.addToPlan('taxRates', { oldId: taxRate.id, action: 'skip', reason: 'Already migrated' });
+                continue;
+            }
+
+            try {
+                this.emit('progress', { stage: 'migrate_tax_rates', message: `Migrating tax rate ${index + 1}/${taxRates.length}`, current: taxRate.display_name });
+
+                const taxRateData = {
+                    display_name: taxRate.display_name,
+                    percentage: taxRate.percentage,
+                    inclusive: taxRate.inclusive,
+                    active: taxRate.active,
+                    metadata: { ...taxRate.metadata, old_stripe_tax_rate_id: taxRate.id }
+                };
+                for (const field of ['country', 'state', 'description', 'jurisdiction', 'tax_type']) {
+                    if (taxRate[field]) taxRateData[field] = taxRate[field];
+                }
+
+                const newTaxRate = await this.createObject('taxRates', this.newStripe.taxRates, taxRateData, taxRate.id);
+                migrationMap.set('taxRates', taxRate.id, newTaxRate.id);
+            } catch (err) {
+                this.log(`❌ Failed to migrate tax rate ${taxRate.id}: ${err.message}`);
+                this.recordFailure('taxRates', taxRate.id, err);
+            }
+        }
+        this.saveMigrationMap(migrationMap);
+        this.log('✅ Tax rate migration complete.');
+    }
+
+    /**
+     * Map exported tax rate objects to tax rate IDs in the new account.
+     * Throws if any of them has not been migrated.
+     */
+    mapTaxRates(taxRates, migrationMap) {
+        return (taxRates || []).map(taxRate => {
+            const newTaxRateId = migrationMap.get('taxRates', taxRate.id);
+            if (!newTaxRateId) throw new Error(`Tax rate ${taxRate.id} not migrated. Run migrateTaxRates() first.`);
+            return newTaxRateId;
+        });
+    }
+
+    /**
+     * Recreate coupons (keeping their IDs) and promotion codes. Run after
+     * migrateProducts so `applies_to` can be remapped; customer-restricted
+     * promotion codes are picked up on a rerun after migrateCustomers.
+     */
+    async migrateCoupons(options = {}) {
+        this.log('Starting coupon migration...');
+        this.startPlan('coupons', 'promotionCodes');
+        const exportFile = path.join(this.exportPath, 'coupons-export.json');
+        if (!fs.existsSync(exportFile)) throw new Error('Coupons export not found. Run exportCoupons() first.');
+
+        const { coupons, promotionCodes } = JSON.parse(fs.readFileSync(exportFile));
+        const migrationMap = this.getMigrationMap();
+
+        // 1. Coupons
+        for (const [index, coupon] of coupons.entries()) {
+            if (options.only && !options.only.has(coupon.id)) continue;
+            if (migrationMap.get('coupons', coupon.id)) {
+                this.addToPlan('coupons', { oldId: coupon.id, action: 'skip', reason: 'Already migrated' });
+                continue;
+            }
+
+            try {
+                this.emit('progress', { stage: 'migrate_coupons', message: `Migrating coupon ${index + 1}/${coupons.length}`, current: coupon.id });
+
+                if (!coupon.valid) {
+                    this.log(`⚠️ Coupon ${coupon.id} is no longer redeemable; recreating without redemption limits so existing discounts can be reattached.`);
+                }
+
+                const newCoupon = await this.createObject('coupons', this.newStripe.coupons, {
+                    id: coupon.id,
+                    ...this.buildCouponPayload(coupon, migrationMap)
+                }, coupon.id);
+                migrationMap.set('coupons', coupon.id, newCoupon.id);
+            } catch (err) {
+                this.log(`❌ Failed to migrate coupon ${coupon.id}: ${err.message}`);
+                this.recordFailure('coupons', coupon.id, err);
+            }
+        }
+        this.saveMigrationMap(migrationMap);
+
+        // 2. Promotion codes
+        for (const [index, promotionCode] of promotionCodes.entries()) {
+            if (options.only && !options.only.has(promotionCode.id)) continue;
+            if (migrationMap.get('promotionCodes', promotionCode.id)) {
+                this.addToPlan('promotionCodes', { oldId: promotionCode.id, action: 'skip', reason: 'Already migrated' });
+                continue;
+            }
+
+            try {
+                const newCouponId = migrationMap.get('coupons', promotionCode.coupon.id);
+                if (!newCouponId) {
+                    this.log(`⚠️ Skipping promotion code ${promotionCode.code}: Coupon not migrated.`);
+                    this.addToPlan('promotionCodes', { oldId: promotionCode.id, action: 'skip', reason: 'Coupon not migrated' });
+                    continue;
+                }
+                if (promotionCode.customer && !migrationMap.get('customers', promotionCode.customer)) {
+                    this.log(`⚠️ Skipping promotion code ${promotionCode.code}: Customer not migrated yet.`);
+                    this.addToPlan('promotionCodes', { oldId: promotionCode.id, action: 'skip', reason: 'Customer not migrated yet' });
+                    continue;
+                }
+
+                this.emit('progress', { stage: 'migrate_promotion_codes', message: `Migrating promotion code ${index + 1}/${promotionCodes.length}`, current: promotionCode.code });
+
+                const payload = {
+                    coupon: newCouponId,
+                    code: promotionCode.code,
+                    active: promotionCode.active,
+                    metadata: { ...promotionCode.metadata, old_stripe_promotion_code_id: promotionCode.id }
+                };
+                if (promotionCode.customer) payload.customer = migrationMap.get('customers', promotionCode.customer);
+                if (promotionCode.max_redemptions) {
+                    payload.max_redemptions = Math.max(promotionCode.max_redemptions - promotionCode.times_redeemed, 1);
+                }
+                if (promotionCode.expires_at && promotionCode.expires_at > Date.now() / 1000) {
+                    payload.expires_at = promotionCode.expires_at;
+                }
+                if (promotionCode.restrictions) {
+                    const { first_time_transaction, minimum_amount, minimum_amount_currency, currency_options } = promotionCode.restrictions;
+                    payload.restrictions = { first_time_transaction };
+                    if (minimum_amount) {
+                        payload.restrictions.minimum_amount = minimum_amount;
+                        payload.restrictions.minimum_amount_currency = minimum_amount_currency;
+                    }
+                    if (currency_options) payload.restrictions.currency_options = currency_options;
+                }
+
+                const newPromotionCode = await this.createObject('promotionCodes', this.newStripe.promotionCodes, payload, promotionCode.id);
+                migrationMap.set('promotionCodes', promotionCode.id, newPromotionCode.id);
+            } catch (err) {
+                this.log(`❌ Failed to migrate promotion code ${promotionCode.code}: ${err.message}`);
+                this.recordFailure('promotionCodes', promotionCode.id, err);
+            }
+        }
+        this.saveMigrationMap(migrationMap);
+        this.log('✅ Coupon and promotion code migration complete.');
+    }
+
+    buildCouponPayload(coupon, migrationMap) {
+        const payload = {
+            duration: coupon.duration,
+            metadata: { ...coupon.metadata, old_stripe_coupon_id: coupon.id }
+        };
+        if (coupon.name) payload.name = coupon.name;
+        if (coupon.percent_off !== null && coupon.percent_off !== undefined) payload.percent_off = coupon.percent_off;
+        if (coupon.amount_off !== null && coupon.amount_off !== undefined) {
+            payload.amount_off = coupon.amount_off;
+            payload.currency = coupon.currency;
+        }
+        if (coupon.currency_options) payload.currency_options = coupon.currency_options;
+        if (coupon.duration === 'repeating') payload.duration_in_months = coupon.duration_in_months;
+
+        if (coupon.valid !== false) {
+            if (coupon.max_redemptions) payload.max_redemptions = coupon.max_redemptions;
+            if (coupon.redeem_by && coupon.redeem_by > Date.now() / 1000) payload.redeem_by = coupon.redeem_by;
+        }
+
+        if (coupon.applies_to && coupon.applies_to.products) {
+            payload.applies_to = {
+                products: coupon.applies_to.products.map(id => migrationMap.get('products', id)).filter(Boolean)
+            };
+        }
+        return payload;
+    }
+
+    /**
+     * Map the discounts on an exported customer or subscription to coupon IDs
+     * in the new account. Repeating coupons keep only their whole remaining
+     * months, via a derived coupon recorded in the map as
+     * `<coupon>:remaining_<months>`. The months are part of its ID and
+     * idempotency key, so a run in a later month creates a shorter coupon
+     * instead of getting back the longer one. A discount with less than a
+     * month left is dropped.
+     */
+    async resolveDiscountCoupons(object, migrationMap) {
+        const discounts = [];
+        if (object.discount) discounts.push(object.discount);
+        for (const discount of object.discounts || []) {
+            if (typeof discount === 'object' && !discounts.some(d => d.id === discount.id)) discounts.push(discount);
+        }
+
+        const couponIds = [];
+        for (const discount of discounts) {
+            const coupon = discount.coupon;
+            const newCouponId = migrationMap.get('coupons', coupon.id);
+            if (!newCouponId) throw new Error(`Coupon ${coupon.id} not migrated. Run migrateCoupons() first.`);
+
+            if (coupon.duration !== 'repeating' || !discount.end) {
+                couponIds.push(newCouponId);
+                continue;
+            }
+
+            const months = Math.min(remainingMonths(discount.end), coupon.duration_in_months);
+            if (months === 0) continue; // Discount ended or ends within a month
+
+            const key = `${coupon.id}:remaining_${months}`;
+            if (!migrationMap.get('coupons', key)) {
+                // Concurrent workers share one create per derived coupon
+                if (!this.pendingCoupons.has(key)) {
+                    const payload = this.buildCouponPayload(coupon, migrationMap);
+                    delete payload.max_redemptions;
+                    delete payload.redeem_by;
+
+                    this.pendingCoupons.set(key, this.createObject('coupons', this.newStripe.coupons, {
+                        ...payload,
+                        id: `${newCouponId}_remaining_${months}m`,
+                        duration_in_months: months,
+                        metadata: { ...payload.metadata, remaining_months_of: newCouponId }
+                    }, key).finally(() => this.pendingCoupons.delete(key)));
+                }
+                const remainingCoupon = await this.pendingCoupons.get(key);
+                migrationMap.set('coupons', key, remainingCoupon.id);
+            }
+            couponIds.push(migrationMap.get('coupons', key));
+        }
+        return couponIds;
+    }
+
+    async migrateCustomers(options = {}) {
+        this.log('Starting customer migration...');
+        this.startPlan('customers');
+        if (!findExportFile(this.exportPath, 'customers')) throw new Error('Customers export not found. Run exportCustomers() first.');
 
-        const customers = JSON.parse(fs.readFileSync(exportFile));
         const migrationMap = this.getMigrationMap();
 
         let migratedCount = 0;
 
-        for (const [index, customer] of customers.entries()) {
-            if (migrationMap.customers[customer.id]) continue;
+        await mapConcurrent(readExport(this.exportPath, 'customers'), this.concurrency, async (customer, index) => {
+            if (options.only && !options.only.has(customer.id)) return;
+            const customerId = migrationMap.get('customers', customer.id);
+            if (customerId) {
+                if (options.sync) {
+                    await this.syncObject('customers', customer.id, customerId, this.customerPayload(customer));
+                } else {
+                    this.addToPlan('customers', { oldId: customer.id, action: 'skip', reason: 'Already migrated' });
+                }
+                return;
+            }
 
             try {
-                this.emit('progress', { stage: 'migrate_customers', message: `Migrating customer ${index + 1}/${customers.length}`, current: customer.email });
-
-                const newCustomer = await this.newStripe.customers.create({
-                    email: customer.email,
-                    name: customer.name,
-                    phone: customer.phone,
-                    description: customer.description,
-                    address: customer.address,
-                    metadata: { ...customer.metadata, old_stripe_customer_id: customer.id }
-                });
-
-                migrationMap.customers[customer.id] = newCustomer.id;
+                this.emit('progress', { stage: 'migrate_customers', message: `Migrating customer ${index + 1}`, current: customer.email });
+
+                const customerData = this.customerPayload(customer);
+                const { custom_fields: customFields, footer } = customer.invoice_settings || {};
+                if (customFields || footer) customerData.invoice_settings = { custom_fields: customFields, footer };
+
+                const [couponId] = await this.resolveDiscountCoupons(customer, migrationMap);
+                if (couponId) customerData.coupon = couponId;
+
+                const newCustomer = await this.createObject('customers', this.newStripe.customers, customerData, customer.id);
+
+                migrationMap.set('customers', customer.id, newCustomer.id);
                 migratedCount++;
 
                 if (migratedCount % this.batchSize === 0) {
@@ -279,90 +1240,1063 @@ export class StripeMigrator extends EventEmitter {
                 }
             } catch (err) {
                 this.log(`❌ Failed to migrate customer ${customer.email}: ${err.message}`);
+                this.recordFailure('customers', customer.id, err);
             }
-        }
+        });
         this.saveMigrationMap(migrationMap);
         this.log('✅ Customer migration complete.');
     }
 
-    async migrateSubscriptions(options = { statusFilter: ['active', 'trialing'] }) {
-        this.log('Starting subscription migration...');
-        const exportFile = path.join(this.exportPath, 'subscriptions-export.json');
-        if (!fs.existsSync(exportFile)) throw new Error('Subscriptions export not found.');
+    /**
+     * Import the mapping file Stripe returns after copying payment data to the
+     * new account (`options.file`, or the `paymentMethodMapping` config).
+     * Copied payment methods are recorded in the `paymentMethods` map section
+     * and each customer's default payment method (or default source) is set as
+     * `invoice_settings.default_payment_method` of the new customer, recorded
+     * in `defaultPaymentMethods`. Customers the copy created that are not
+     * migrated yet are adopted, so migrateCustomers() does not duplicate them.
+     */
+    async importPaymentMethods(options = {}) {
+        this.log('Starting payment method import...');
+        this.startPlan('paymentMethods');
+        const file = options.file || this.paymentMethodMapping;
+        if (!file) throw new Error('No payment method mapping file given.');
+        if (!findExportFile(this.exportPath, 'customers')) throw new Error('Customers export not found. Run exportCustomers() first.');
+
+        try {
+            const mapping = readPaymentMethodMapping(file);
+            const migrationMap = this.getMigrationMap();
+
+            let importedCount = 0;
+            let defaultsCount = 0;
+
+            await mapConcurrent(readExport(this.exportPath, 'customers'), this.concurrency, async (customer) => {
+                if (options.only && !options.only.has(customer.id)) return;
+                const copy = mapping.get(customer.id);
+                if (!copy) return;
+
+                try {
+                    const newCustomerId = migrationMap.get('customers', customer.id);
+                    if (newCustomerId && newCustomerId !== copy.newCustomerId) {
+                        throw new Error(`Payment methods were copied to ${copy.newCustomerId}, but the customer is migrated as ${newCustomerId}`);
+                    }
+                    if (!newCustomerId) {
+                        migrationMap.set('customers', customer.id, copy.newCustomerId);
+                        this.addToPlan('paymentMethods', { oldId: customer.id, action: 'adopt', newId: copy.newCustomerId });
+                    }
+
+                    for (const [oldId, newId] of copy.paymentMethods) {
+                        migrationMap.set('paymentMethods', oldId, newId);
+                    }
+                    importedCount += copy.paymentMethods.size;
+
+                    const oldDefault = customer.invoice_settings?.default_payment_method || customer.default_source;
+                    const oldDefaultId = oldDefault && (typeof oldDefault === 'object' ? oldDefault.id : oldDefault);
+                    const newDefault = oldDefaultId && copy.paymentMethods.get(oldDefaultId);
+                    if (!newDefault) {
+                        if (oldDefaultId) this.log(`⚠️ Default payment method ${oldDefaultId} of ${customer.email} was not copied`);
+                        this.addToPlan('paymentMethods', { oldId: customer.id, action: 'skip', reason: oldDefaultId ? `Default ${oldDefaultId} not copied` : 'No default payment method' });
+                        return;
+                    }
+                    if (migrationMap.get('defaultPaymentMethods', customer.id) === newDefault) {
+                        this.addToPlan('paymentMethods', { oldId: customer.id, action: 'skip', reason: 'Default already set' });
+                        return;
+                    }
+
+                    const payload = { invoice_settings: { default_payment_method: newDefault } };
+                    if (this.dryRun) {
+                        this.addToPlan('paymentMethods', { oldId: customer.id, action: 'update', newId: copy.newCustomerId, payload });
+                    } else {
+                        await this.request(() => this.newStripe.customers.update(copy.newCustomerId, payload));
+                        this.clearFailure('paymentMethods', customer.id);
+                    }
+                    migrationMap.set('defaultPaymentMethods', customer.id, newDefault);
+                    defaultsCount++;
+                } catch (err) {
+                    this.log(`❌ Failed to import payment methods of ${customer.email}: ${err.message}`);
+                    this.recordFailure('paymentMethods', customer.id, err);
+                }
+            });
+            this.saveMigrationMap(migrationMap);
+            this.log(`✅ Payment method import complete. ${importedCount} payment methods, ${defaultsCount} defaults set.`);
+        } catch (error) {
+            this.emit('error', error);
+            throw error;
+        }
+    }
+
+    /**
+     * With `{ carryOverUsage: true }`, the usage recorded in the current period
+     * of metered items is reported again on the new subscription.
+     * `billingCycle` overrides the configured billing cycle strategy.
+     *
+     * With `outstandingBalance` ('invoice_item' or 'balance'), past_due and
+     * unpaid subscriptions are selected too. The amount left on their open
+     * invoices is charged to the new subscription (see outstanding.js), and
+     * they are never put on a trial. 'invoice_item' invoices it immediately;
+     * 'balance' leaves it for the next invoice, so collection and dunning
+     * start up to a billing period later. Without it they are skipped, so
+     * they do not come over looking fully paid.
+     */
+    async migrateSubscriptions(options = {}) {
+        const billingCycle = options.billingCycle || this.billingCycle;
+        if (!BILLING_CYCLE_STRATEGIES.includes(billingCycle)) throw new Error(`billingCycle must be one of: ${BILLING_CYCLE_STRATEGIES.join(', ')}`);
+        const outstanding = options.outstandingBalance || this.outstandingBalance;
+        if (outstanding && !OUTSTANDING_MODES.includes(outstanding)) throw new Error(`outstandingBalance must be one of: ${OUTSTANDING_MODES.join(', ')}`);
+        const statusFilter = options.statusFilter || ['active', 'trialing', ...(outstanding ? DELINQUENT_STATUSES : [])];
+        this.log(`Starting subscription migration (billing cycle: ${billingCycle})...`);
+        this.startPlan('subscriptions');
+        if (!findExportFile(this.exportPath, 'subscriptions')) throw new Error('Subscriptions export not found.');
 
-        const subscriptions = JSON.parse(fs.readFileSync(exportFile));
         const migrationMap = this.getMigrationMap();
 
-        const subsToMigrate = subscriptions.filter(s => options.statusFilter.includes(s.status));
         let migratedCount = 0;
 
-        for (const [index, sub] of subsToMigrate.entries()) {
-            if (migrationMap.subscriptions[sub.id]) continue;
+        await mapConcurrent(this.filterSubscriptions({ ...options, statusFilter }), this.concurrency, async (sub, index) => {
+            if (migrationMap.get('subscriptions', sub.id)) {
+                this.addToPlan('subscriptions', { oldId: sub.id, action: 'skip', reason: 'Already migrated' });
+                return;
+            }
+            const delinquent = DELINQUENT_STATUSES.includes(sub.status);
+            if (delinquent && !outstanding) {
+                this.log(`Skipping sub ${sub.id}: ${sub.status} subscriptions need outstandingBalance`);
+                this.addToPlan('subscriptions', { oldId: sub.id, action: 'skip', reason: `Status ${sub.status} needs outstandingBalance` });
+                return;
+            }
 
             try {
-                const newCustomerId = migrationMap.customers[sub.customer];
+                const newCustomerId = migrationMap.get('customers', sub.customer);
                 if (!newCustomerId) {
                     this.log(`Skipping sub ${sub.id}: Customer not migrated`);
-                    continue;
+                    this.addToPlan('subscriptions', { oldId: sub.id, action: 'skip', reason: 'Customer not migrated' });
+                    return;
                 }
 
-                this.emit('progress', { stage: 'migrate_subscriptions', message: `Migrating sub ${index + 1}/${subsToMigrate.length}`, current: sub.id });
+                this.emit('progress', { stage: 'migrate_subscriptions', message: `Migrating sub ${index + 1}`, current: sub.id });
 
                 const items = sub.items.data.map(item => ({
-                    price: migrationMap.prices[item.price.id],
-                    quantity: item.quantity,
-                    metadata: item.metadata
+                    price: migrationMap.get('prices', item.price.id),
+                    // Metered items bill reported usage and take no quantity
+                    ...(isMetered(item.price) ? {} : { quantity: item.quantity }),
+                    metadata: item.metadata,
+                    tax_rates: this.mapTaxRates(item.tax_rates, migrationMap)
                 })).filter(i => i.price); // Ensure we have a valid price
 
                 if (items.length !== sub.items.data.length) {
                     this.log(`Skipping sub ${sub.id}: Some prices not migrated`);
-                    continue;
+                    this.addToPlan('subscriptions', { oldId: sub.id, action: 'skip', reason: 'Some prices not migrated' });
+                    return;
                 }
 
                 const subData = {
                     customer: newCustomerId,
                     items: items,
                     metadata: { ...sub.metadata, old_stripe_subscription_id: sub.id },
-                    proration_behavior: sub.proration_behavior
+                    default_tax_rates: this.mapTaxRates(sub.default_tax_rates, migrationMap),
+                    proration_behavior: sub.proration_behavior,
+                    collection_method: sub.collection_method,
+                    ...(sub.collection_method === 'send_invoice' && sub.days_until_due ? { days_until_due: sub.days_until_due } : {}),
+                    ...(sub.description ? { description: sub.description } : {})
                 };
 
-                // Only set billing_cycle_anchor if it is in the future
-                // Otherwise, it defaults to 'now' (or follows trial logic)
-                const now = Math.floor(Date.now() / 1000);
-                if (sub.billing_cycle_anchor > now) {
-                    subData.billing_cycle_anchor = sub.billing_cycle_anchor;
-                } else {
-                    // If original anchor is past, we can't force it.
-                    // The subscription will start "now", resetting the cycle.
-                    // To strictly preserve cycle, we would need to use backdating (uncommon/complex)
-                    // or set a trial_end to the next bill date.
-                    if (sub.current_period_end > now) {
-                        subData.trial_end = sub.current_period_end;
-                    }
-                }
-
-                // Free vs Paid logic
+                // Keep the next billing date of the old subscription
                 const isFree = sub.items.data.every(i => i.price.unit_amount === 0);
-                if (isFree) {
-                    subData.trial_end = 'now';
-                } else {
+                applyBillingCycle(subData, sub, billingCycle, { allowTrial: !isFree && !delinquent });
+                if (delinquent) subData.metadata.old_stripe_status = sub.status;
+
+                // What a delinquent subscription owes, read before anything is created
+                const balance = delinquent ? await openInvoiceBalance(this.oldStripe, sub, fn => this.request(fn)) : null;
+
+                // A subscription-level payment method is only set if it was copied
+                const oldPaymentMethod = sub.default_payment_method && (sub.default_payment_method.id || sub.default_payment_method);
+                const newPaymentMethod = oldPaymentMethod && migrationMap.get('paymentMethods', oldPaymentMethod);
+                if (newPaymentMethod) subData.default_payment_method = newPaymentMethod;
+
+                // Paid subscriptions wait for a payment method, unless one was copied
+                if (!isFree && !newPaymentMethod && !migrationMap.get('defaultPaymentMethods', sub.customer)) {
                     subData.payment_behavior = 'default_incomplete';
-                    if (sub.trial_end && sub.trial_end > Date.now() / 1000) {
-                        subData.trial_end = sub.trial_end;
-                    }
                 }
 
-                const newSub = await this.newStripe.subscriptions.create(subData);
-                migrationMap.subscriptions[sub.id] = newSub.id;
+                // Reattach discounts through the coupon map
+                const couponIds = await this.resolveDiscountCoupons(sub, migrationMap);
+                if (couponIds.length === 1) subData.coupon = couponIds[0];
+                if (couponIds.length > 1) subData.discounts = couponIds.map(coupon => ({ coupon }));
+
+                // Archived prices and tax rates must be active while the subscription is created
+                const archived = [
+                    ...sub.items.data
+                        .filter(item => item.price.active === false)
+                        .map(item => ({ resource: this.newStripe.prices, id: migrationMap.get('prices', item.price.id) })),
+                    ...[...(sub.default_tax_rates || []), ...sub.items.data.flatMap(item => item.tax_rates || [])]
+                        .filter(taxRate => taxRate.active === false)
+                        .map(taxRate => ({ resource: this.newStripe.taxRates, id: migrationMap.get('taxRates', taxRate.id) }))
+                ];
+
+                const newSub = await this.withReactivated(archived, () =>
+                    this.createObject('subscriptions', this.newStripe.subscriptions, subData, sub.id));
+                migrationMap.set('subscriptions', sub.id, newSub.id);
                 migratedCount++;
 
+                if (options.carryOverUsage) await this.carryOverUsage(sub, newSub, newCustomerId, migrationMap);
+                if (balance && balance.amount > 0) await this.carryOverBalance(sub, newSub, newCustomerId, balance, outstanding, migrationMap);
+
                 if (migratedCount % 25 === 0) this.saveMigrationMap(migrationMap);
 
             } catch (err) {
                 this.log(`❌ Failed to migrate subscription ${sub.id}: ${err.message}`);
+                this.recordFailure('subscriptions', sub.id, err);
             }
-        }
+        });
         this.saveMigrationMap(migrationMap);
         this.log('✅ Subscription migration complete.');
     }
+
+    /**
+     * Copy the current-period usage of the metered items of `sub` to `newSub`
+     * (see usage.js). A failure is logged without failing the subscription.
+     */
+    async carryOverUsage(sub, newSub, newCustomerId, migrationMap) {
+        if (!sub.items.data.some(item => isMetered(item.price))) return;
+        if (this.dryRun) {
+            this.addToPlan('subscriptions', { oldId: sub.id, action: 'carry_over_usage' });
+            return;
+        }
+        if (!this.usageReported) this.usageReported = new Set();
+
+        try {
+            const results = await carryOverUsage({
+                oldStripe: this.oldStripe,
+                newStripe: this.newStripe,
+                sub,
+                newSub,
+                newCustomerId,
+                newPriceId: oldId => migrationMap.get('prices', oldId),
+                key: `migrate:${this.runId}`,
+                reported: this.usageReported,
+                request: fn => this.request(fn)
+            });
+            for (const result of results) {
+                this.log(result.reason
+                    ? `⚠️ Usage of ${result.item} not carried over: ${result.reason}`
+                    : `📈 Carried over usage of ${result.item}: ${result.usage}`);
+            }
+        } catch (err) {
+            this.log(`❌ Failed to carry over usage of subscription ${sub.id}: ${err.message}`);
+        }
+    }
+
+    /**
+     * Charge what a past_due or unpaid subscription owes to its copy, then
+     * void the old open invoices (see outstanding.js). Each voided invoice is
+     * mapped in `carriedOverInvoices` to the new invoice or balance
+     * transaction that took it over. A failure is logged without failing the
+     * subscription.
+     */
+    async carryOverBalance(sub, newSub, newCustomerId, balance, mode, migrationMap) {
+        if (this.dryRun) {
+            this.addToPlan('subscriptions', { oldId: sub.id, action: 'carry_over_balance', mode, amount: balance.amount, currency: balance.currency, invoices: balance.invoices });
+            return;
+        }
+
+        const key = `migrate:${this.runId}:${sub.id}`;
+        let carried;
+        try {
+            carried = await carryOverBalance({
+                newStripe: this.newStripe,
+                newSub,
+                newCustomerId,
+                balance,
+                mode,
+                key,
+                request: fn => this.request(fn)
+            });
+            this.log(`💸 Carried over ${formatAmount(balance.amount, balance.currency)} owed on ${sub.id} as ${mode === 'balance' ? 'customer balance' : 'an invoice'}`);
+        } catch (err) {
+            this.log(`❌ Failed to carry over the outstanding balance of subscription ${sub.id}: ${err.message}`);
+            return;
+        }
+
+        const { voided, errors } = await voidInvoices({ oldStripe: this.oldStripe, balance, key, request: fn => this.request(fn) });
+        voided.forEach(invoiceId => migrationMap.set('carriedOverInvoices', invoiceId, carried.id));
+        if (voided.length > 0) this.log(`🧾 Voided ${voided.length} old invoices of ${sub.id}`);
+        for (const error of errors) {
+            this.log(`❌ Failed to void old invoice ${error.invoice} of ${sub.id}, void it by hand or it stays collectible: ${error.message}`);
+        }
+    }
+
+    async *filterSubscriptions({ statusFilter = ['active', 'trialing'], only }) {
+        for await (const sub of readExport(this.exportPath, 'subscriptions')) {
+            if (only) {
+                if (only.has(sub.id)) yield sub;
+            } else if (statusFilter.includes(sub.status)) {
+                yield sub;
+            } else {
+                this.addToPlan('subscriptions', { oldId: sub.id, action: 'skip', reason: `Status ${sub.status} not selected` });
+            }
+        }
+    }
+
+    /**
+     * Recreate subscription schedules that still have phases ahead. Run after
+     * migrateSubscriptions: a started schedule is attached to the migrated
+     * subscription (`from_subscription`) and its phases are replaced with the
+     * old schedule's phases from the current one on, keeping the start date of
+     * the current period. A schedule that has not started is created for the
+     * migrated customer with all its phases. Phase prices, coupons and tax rates
+     * are remapped through the migration map.
+     */
+    async migrateSubscriptionSchedules(options = {}) {
+        this.log('Starting subscription schedule migration...');
+        this.startPlan('subscriptionSchedules');
+        if (!findExportFile(this.exportPath, 'subscription-schedules')) {
+            throw new Error('Subscription schedules export not found. Run exportSubscriptionSchedules() first.');
+        }
+
+        const migrationMap = this.getMigrationMap();
+        const now = Math.floor(Date.now() / 1000);
+
+        await mapConcurrent(readExport(this.exportPath, 'subscription-schedules'), this.concurrency, async (schedule, index) => {
+            if (options.only && !options.only.has(schedule.id)) return;
+            const skip = reason => this.addToPlan('subscriptionSchedules', { oldId: schedule.id, action: 'skip', reason });
+
+            if (migrationMap.get('subscriptionSchedules', schedule.id)) return skip('Already migrated');
+            if (!['active', 'not_started'].includes(schedule.status)) return skip(`Status ${schedule.status}`);
+
+            try {
+                const phases = schedule.phases.filter(phase => schedule.status === 'not_started' || phase.end_date > now);
+                if (phases.length === 0) return skip('No phases left');
+
+                this.emit('progress', { stage: 'migrate_subscription_schedules', message: `Migrating schedule ${index + 1}`, current: schedule.id });
+
+                const payload = {
+                    end_behavior: schedule.end_behavior,
+                    phases: phases.map(phase => this.schedulePhasePayload(phase, migrationMap)),
+                    metadata: { ...schedule.metadata, old_stripe_subscription_schedule_id: schedule.id }
+                };
+
+                let resource = this.newStripe.subscriptionSchedules;
+                if (schedule.subscription) {
+                    const newSubId = migrationMap.get('subscriptions', schedule.subscription);
+                    if (!newSubId) {
+                        this.log(`Skipping schedule ${schedule.id}: Subscription not migrated`);
+                        return skip('Subscription not migrated');
+                    }
+                    payload.from_subscription = newSubId;
+                    resource = { create: (params, requestOptions) => this.scheduleSubscription(params, requestOptions) };
+                } else {
+                    const newCustomerId = migrationMap.get('customers', schedule.customer);
+                    if (!newCustomerId) {
+                        this.log(`Skipping schedule ${schedule.id}: Customer not migrated`);
+                        return skip('Customer not migrated');
+                    }
+                    payload.customer = newCustomerId;
+                    payload.start_date = phases[0].start_date > now ? phases[0].start_date : 'now';
+                }
+
+                // Archived prices and tax rates must be active while the phases are set
+                const phaseItems = phases.flatMap(phase => phase.items);
+                const archived = [
+                    ...phaseItems
+                        .filter(item => item.price.active === false)
+                        .map(item => ({ resource: this.newStripe.prices, id: migrationMap.get('prices', item.price.id) })),
+                    ...[...phases.flatMap(phase => phase.default_tax_rates || []), ...phaseItems.flatMap(item => item.tax_rates || [])]
+                        .filter(taxRate => taxRate.active === false)
+                        .map(taxRate => ({ resource: this.newStripe.taxRates, id: migrationMap.get('taxRates', taxRate.id) }))
+                ];
+
+                const newSchedule = await this.withReactivated(archived, () =>
+                    this.createObject('subscriptionSchedules', resource, payload, schedule.id));
+                migrationMap.set('subscriptionSchedules', schedule.id, newSchedule.id);
+            } catch (err) {
+                this.log(`❌ Failed to migrate subscription schedule ${schedule.id}: ${err.message}`);
+                this.recordFailure('subscriptionSchedules', schedule.id, err);
+            }
+        });
+        this.saveMigrationMap(migrationMap);
+        this.log('✅ Subscription schedule migration complete.');
+    }
+
+    /**
+     * Phase params for a new-account schedule. Each phase carries its end date,
+     * so the phases keep their old timing.
+     */
+    schedulePhasePayload(phase, migrationMap) {
+        const payload = {
+            end_date: phase.end_date,
+            items: phase.items.map(item => {
+                const newPriceId = migrationMap.get('prices', item.price.id);
+                if (!newPriceId) throw new Error(`Price ${item.price.id} not migrated. Run migrateProducts() first.`);
+                return {
+                    price: newPriceId,
+                    ...(isMetered(item.price) ? {} : { quantity: item.quantity }),
+                    metadata: item.metadata,
+                    tax_rates: this.mapTaxRates(item.tax_rates, migrationMap)
+                };
+            }),
+            default_tax_rates: this.mapTaxRates(phase.default_tax_rates, migrationMap),
+            metadata: phase.metadata
+        };
+        for (const field of ['billing_cycle_anchor', 'collection_method', 'currency', 'description', 'proration_behavior']) {
+            if (phase[field]) payload[field] = phase[field];
+        }
+        if (phase.trial_end && phase.trial_end > Date.now() / 1000) payload.trial_end = phase.trial_end;
+
+        const couponIds = [phase.coupon, ...(phase.discounts || []).map(discount => discount.coupon)]
+            .filter(Boolean)
+            .map(coupon => typeof coupon === 'string' ? coupon : coupon.id);
+        const newCouponIds = [...new Set(couponIds)].map(couponId => {
+            const newCouponId = migrationMap.get('coupons', couponId);
+            if (!newCouponId) throw new Error(`Coupon ${couponId} not migrated. Run migrateCoupons() first.`);
+            return newCouponId;
+        });
+        if (newCouponIds.length === 1) payload.coupon = newCouponIds[0];
+        if (newCouponIds.length > 1) payload.discounts = newCouponIds.map(coupon => ({ coupon }));
+        return payload;
+    }
+
+    /**
+     * Create a schedule from a subscription, then set its phases. The first
+     * phase has to keep the start date Stripe gave the current phase.
+     */
+    async scheduleSubscription({ from_subscription: subscriptionId, ...changes }, options) {
+        const schedule = await this.newStripe.subscriptionSchedules.create({ from_subscription: subscriptionId }, options);
+        const [current, ...later] = changes.phases;
+        return this.newStripe.subscriptionSchedules.update(schedule.id, {
+            ...changes,
+            phases: [{ ...current, start_date: schedule.phases[0].start_date }, ...later],
+            proration_behavior: 'none'
+        });
+    }
+
+    /**
+     * Temporarily reactivate archived objects (`{ resource, id }`, e.g. prices
+     * or tax rates in the new account) around `fn`. Concurrent callers share the
+     * reactivation: an object is archived again once the last of them is done.
+     */
+    async withReactivated(objects, fn) {
+        if (this.dryRun) return fn();
+
+        const unique = objects.filter((o, i) => objects.findIndex(other => other.id === o.id) === i);
+        try {
+            await Promise.all(unique.map(object => this.setReactivated(object, true)));
+            return await fn();
+        } finally {
+            await Promise.all(unique.map(object => this.setReactivated(object, false)));
+        }
+    }
+
+    setReactivated({ resource, id }, acquire) {
+        const entry = this.reactivated.get(id) || { users: 0, ready: Promise.resolve() };
+        this.reactivated.set(id, entry);
+
+        // Updates for one object are chained so they reach Stripe in order
+        entry.users += acquire ? 1 : -1;
+        if (acquire ? entry.users === 1 : entry.users === 0) {
+            entry.ready = entry.ready
+                .catch(() => {})
+                .then(() => this.request(() => resource.update(id, { active: acquire })));
+        }
+        return entry.ready;
+    }
+
+    // =========================================================================
+    // VERIFY METHODS
+    // =========================================================================
+
+    /**
+     * Reconcile the new account against the exports. Every mapped customer,
+     * product, price and subscription is fetched from the new account and
+     * field-diffed against its export (see reconcile.js). Also lists exported
+     * objects without a map entry and orphans: new-account objects carrying
+     * `old_stripe_*_id` metadata that the map does not know about.
+     * Writes and returns reconciliation-report.json.
+     */
+    async verify(options = {}) {
+        this.log('Starting reconciliation...');
+        try {
+            const statusFilter = options.statusFilter || ['active', 'trialing'];
+            const report = {
+                generatedAt: new Date().toISOString(),
+                summary: {},
+                mismatches: [],
+                unmapped: [],
+                orphans: []
+            };
+
+            const productsFile = path.join(this.exportPath, 'products-export.json');
+            const { products = [], prices = [] } = fs.existsSync(productsFile) ? JSON.parse(fs.readFileSync(productsFile)) : {};
+
+            await this.reconcile(report, 'customers', readExport(this.exportPath, 'customers'), diffCustomer);
+            await this.reconcile(report, 'products', products, diffProduct);
+            await this.reconcile(report, 'prices', prices, diffPrice);
+            await this.reconcile(report, 'subscriptions', readExport(this.exportPath, 'subscriptions'), diffSubscription,
+                sub => statusFilter.includes(sub.status));
+
+            await this.findOrphans(report, 'customers', 'old_stripe_customer_id');
+            await this.findOrphans(report, 'products', 'old_stripe_product_id');
+            await this.findOrphans(report, 'prices', 'old_stripe_price_id');
+            await this.findOrphans(report, 'subscriptions', 'old_stripe_subscription_id', { status: 'all' });
+
+            const reportPath = path.join(this.exportPath, 'reconciliation-report.json');
+            writeFileAtomic(reportPath, JSON.stringify(report, null, 2));
+
+            const problems = report.mismatches.length + report.unmapped.length + report.orphans.length;
+            this.log(problems === 0
+                ? '✅ Reconciliation complete! The new account matches the exports.'
+                : `⚠️ Reconciliation complete: ${report.mismatches.length} mismatches, ${report.unmapped.length} unmapped, ${report.orphans.length} orphans. See ${reportPath}`);
+            return report;
+        } catch (error) {
+            this.emit('error', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Diff every exported object of `type` against its mapped copy. Objects
+     * rejected by `expected` (e.g. canceled subscriptions) are not reported
+     * when unmapped.
+     */
+    async reconcile(report, type, objects, diff, expected = () => true) {
+        const migrationMap = this.getMigrationMap();
+        const summary = { checked: 0, matched: 0, mismatched: 0, unmapped: 0, orphans: 0 };
+        report.summary[type] = summary;
+
+        await mapConcurrent(objects, this.concurrency, async (object) => {
+            const newId = migrationMap.get(type, object.id);
+            if (!newId) {
+                if (expected(object)) {
+                    summary.unmapped++;
+                    report.unmapped.push({ type, oldId: object.id });
+                }
+                return;
+            }
+
+            summary.checked++;
+            this.emit('progress', { stage: `verify_${type}`, message: `Verifying ${type}`, count: summary.checked });
+
+            let fields;
+            try {
+                const newObject = await this.request(() => this.newStripe[type].retrieve(newId));
+                fields = newObject.deleted
+                    ? [{ field: 'deleted', expected: false, actual: true }]
+                    : diff(object, newObject, migrationMap);
+            } catch (err) {
+                if (err.statusCode !== 404) throw err;
+                fields = [{ field: 'id', expected: newId, actual: null }];
+            }
+
+            if (fields.length === 0) {
+                summary.matched++;
+            } else {
+                summary.mismatched++;
+                report.mismatches.push({ type, oldId: object.id, newId, fields });
+            }
+        });
+    }
+
+    async findOrphans(report, type, metadataKey, params = {}) {
+        const migrationMap = this.getMigrationMap();
+        for await (const object of this.listEach(this.newStripe[type], params)) {
+            const oldId = object.metadata && object.metadata[metadataKey];
+            if (oldId && !object.metadata.replaced_by && !migrationMap.getOldId(type, object.id)) {
+                report.summary[type].orphans++;
+                report.orphans.push({ type, newId: object.id, oldId });
+            }
+        }
+    }
+
+    // =========================================================================
+    // ADOPTION METHODS
+    // =========================================================================
+
+    /**
+     * Record objects that already exist in the new account in the migration
+     * map, so the migrate methods skip them instead of creating duplicates
+     * (e.g. after the map was lost, or for customers created by hand).
+     *
+     * An unmapped exported object is adopted when exactly one new-account
+     * object carries its ID in `old_stripe_*_id` metadata. With
+     * `matchEmail: true`, customers without that metadata are also matched by
+     * email. Ambiguous matches, and matches already mapped to another object,
+     * are reported as conflicts and left alone. `types` limits the map
+     * sections (default: products, prices, customers, subscriptions).
+     * Writes and returns adoption-report.json.
+     */
+    async adopt(options = {}) {
+        this.log('Searching the new account for existing objects...');
+        try {
+            const types = options.types || ADOPTION_STEPS.map(step => step.type);
+            const unknown = types.filter(type => !ADOPTION_STEPS.some(step => step.type === type));
+            if (unknown.length > 0) throw new Error(`Cannot adopt: ${unknown.join(', ')}`);
+
+            const report = {
+                generatedAt: new Date().toISOString(),
+                summary: {},
+                adopted: [],
+                conflicts: []
+            };
+
+            const productsFile = path.join(this.exportPath, 'products-export.json');
+            const { products = [], prices = [] } = fs.existsSync(productsFile) ? JSON.parse(fs.readFileSync(productsFile)) : {};
+            const exported = {
+                products: () => products,
+                prices: () => prices,
+                customers: () => readExport(this.exportPath, 'customers'),
+                subscriptions: () => readExport(this.exportPath, 'subscriptions')
+            };
+
+            for (const step of ADOPTION_STEPS.filter(step => types.includes(step.type))) {
+                await this.adoptType(report, step, exported[step.type](), options.matchEmail && step.type === 'customers');
+            }
+
+            const reportPath = path.join(this.exportPath, 'adoption-report.json');
+            writeFileAtomic(reportPath, JSON.stringify(report, null, 2));
+            this.saveMigrationMap();
+
+            this.log(report.conflicts.length === 0
+                ? `✅ Adoption complete! ${report.adopted.length} existing objects recorded in the migration map.`
+                : `⚠️ Adoption complete: ${report.adopted.length} adopted, ${report.conflicts.length} conflicts. See ${reportPath}`);
+            return report;
+        } catch (error) {
+            this.emit('error', error);
+            throw error;
+        }
+    }
+
+    async adoptType(report, { type, metadataKey }, objects, matchEmail) {
+        const migrationMap = this.getMigrationMap();
+        const summary = { adopted: 0, conflicts: 0 };
+        report.summary[type] = summary;
+
+        // Index the new account by the old ID (and email) it was migrated from
+        const byOldId = new Map();
+        const byEmail = new Map();
+        const index = (map, key, object) => map.set(key, [...(map.get(key) || []), object]);
+        for await (const object of this.listEach(this.newStripe[type])) {
+            const oldId = object.metadata && object.metadata[metadataKey];
+            if (object.metadata && object.metadata.replaced_by) continue;
+            if (oldId) {
+                index(byOldId, oldId, object);
+            } else if (matchEmail && object.email) {
+                index(byEmail, object.email.toLowerCase(), object);
+            }
+        }
+
+        const conflict = (oldId, newIds, reason) => {
+            summary.conflicts++;
+            report.conflicts.push({ type, oldId, newIds, reason });
+        };
+
+        for await (const object of objects) {
+            let matchedBy = 'metadata';
+            let candidates = byOldId.get(object.id) || [];
+            if (candidates.length === 0 && matchEmail && object.email) {
+                matchedBy = 'email';
+                candidates = byEmail.get(object.email.toLowerCase()) || [];
+            }
+            if (candidates.length === 0) continue;
+
+            const newIds = candidates.map(candidate => candidate.id);
+            const mappedId = migrationMap.get(type, object.id);
+            if (mappedId) {
+                if (!newIds.includes(mappedId)) conflict(object.id, newIds, `Already mapped to ${mappedId}`);
+                continue;
+            }
+            if (candidates.length > 1) {
+                conflict(object.id, newIds, `${candidates.length} objects match by ${matchedBy}`);
+                continue;
+            }
+
+            const [newId] = newIds;
+            const owner = migrationMap.getOldId(type, newId);
+            if (owner) {
+                conflict(object.id, newIds, `${newId} is already mapped to ${owner}`);
+                continue;
+            }
+
+            migrationMap.set(type, object.id, newId);
+            // Kept apart from the migrate sections, which each run resets
+            this.addToPlan('adopted', { type, oldId: object.id, action: 'adopt', newId, reason: `Matched by ${matchedBy}` });
+            this.clearFailure(type, object.id);
+            summary.adopted++;
+            report.adopted.push({ type, oldId: object.id, newId, matchedBy });
+        }
+    }
+
+    // =========================================================================
+    // ROLLBACK METHODS
+    // =========================================================================
+
+    /**
+     * Undo migrated objects in the new account, newest dependencies first:
+     * release subscription schedules, cancel subscriptions, delete customers,
+     * archive prices and products, and remove their map entries. Only objects whose `old_stripe_*_id` metadata
+     * matches the map entry are touched.
+     *
+     * Scope with `types` (map sections), `runId` (objects created by that run;
+     * objects without a run tag are skipped and listed) and `createdAfter` / `createdBefore` (Dates or unix timestamps).
+     * Nothing changes unless `confirm: true` is passed: without it (or on a
+     * dryRun migrator) the actions are only listed. A confirmed rollback that
+     * undoes anything retires the run ID (and `runId`) and switches to a new
+     * one (`nextRunId` in the report), so migrating again creates new objects.
+     * Writes and returns rollback-report.json.
+     */
+    async rollback(options = {}) {
+        const execute = options.confirm === true && !this.dryRun;
+        this.log(execute ? 'Starting rollback...' : 'Previewing rollback (pass { confirm: true } to execute)...');
+        try {
+            const types = options.types || ROLLBACK_STEPS.map(step => step.type);
+            const unknown = types.filter(type => !ROLLBACK_STEPS.some(step => step.type === type));
+            if (unknown.length > 0) throw new Error(`Cannot roll back: ${unknown.join(', ')}`);
+
+            const report = {
+                generatedAt: new Date().toISOString(),
+                confirmed: execute,
+                scope: {
+                    types,
+                    runId: options.runId || null,
+                    createdAfter: toTimestamp(options.createdAfter),
+                    createdBefore: toTimestamp(options.createdBefore)
+                },
+                summary: {},
+                actions: []
+            };
+
+            for (const step of ROLLBACK_STEPS.filter(step => types.includes(step.type))) {
+                await this.rollbackType(step, report, execute);
+            }
+
+            const undone = report.actions.filter(a => a.action !== 'skip').length;
+            if (execute && undone > 0) {
+                // The old idempotency keys would return the rolled back objects
+                const retired = this.runId;
+                this.runId = retireRunId(this.exportPath, retired, ...(options.runId ? [options.runId] : []));
+                report.nextRunId = this.runId;
+                this.log(`🔁 Run ${retired} retired; the next run uses ${this.runId}.`);
+            }
+
+            const reportPath = path.join(this.exportPath, 'rollback-report.json');
+            writeFileAtomic(reportPath, JSON.stringify(report, null, 2));
+            if (execute) this.saveMigrationMap();
+
+            if (execute) {
+                this.log(`✅ Rollback complete! ${undone} objects undone.`);
+            } else {
+                this.log(`📝 Rollback preview: ${undone} objects would be undone. See ${reportPath}`);
+            }
+            return report;
+        } catch (error) {
+            this.emit('error', error);
+            throw error;
+        }
+    }
+
+    async rollbackType({ type, metadataKey, action, undo }, report, execute) {
+        const migrationMap = this.getMigrationMap();
+        const { runId, createdAfter, createdBefore } = report.scope;
+        const summary = { [action]: 0, removed: 0, skip: 0 };
+        report.summary[type] = summary;
+
+        await mapConcurrent(migrationMap.entries(type), this.concurrency, async ([oldId, newId]) => {
+            let object;
+            try {
+                object = await this.request(() => this.newStripe[type].retrieve(newId));
+            } catch (err) {
+                if (err.statusCode !== 404) throw err;
+            }
+
+            let entry;
+            if (!object || object.deleted) {
+                // Already gone: only the map entry is left to clean up
+                entry = { type, oldId, newId, action: 'removed', reason: 'Not found in new account' };
+            } else if (!object.metadata || object.metadata[metadataKey] !== oldId) {
+                entry = { type, oldId, newId, action: 'skip', reason: `${metadataKey} does not match the map` };
+            } else if (runId && !object.metadata.migration_run_id) {
+                entry = { type, oldId, newId, action: 'skip', reason: 'No run tag' };
+            } else if (runId && object.metadata.migration_run_id !== runId) {
+                return;
+            } else if ((createdAfter && object.created < createdAfter) || (createdBefore && object.created > createdBefore)) {
+                return;
+            } else {
+                entry = { type, oldId, newId, action };
+            }
+
+            if (execute && entry.action !== 'skip') {
+                if (entry.action === action) await this.request(() => undo(this.newStripe, newId, object));
+                migrationMap.delete(type, oldId);
+            }
+            summary[entry.action]++;
+            report.actions.push(entry);
+        });
+    }
+
+    /**
+     * Cancel the old-account subscriptions whose migrated counterpart is ready
+     * to bill: active or trialing (the trial bridge of migrateSubscriptions),
+     * not set to cancel, and with a payment method unless it is free. Others
+     * are skipped with the reason, so nobody is left without a subscription.
+     *
+     * `cancelAt: 'period_end'` (default) lets the old subscription run out its
+     * paid period; `'immediately'` cancels it now without proration or a final
+     * invoice. Nothing changes unless `confirm: true` is passed: without it (or
+     * on a dryRun migrator) the actions are only listed. Writes and returns
+     * cutover-report.json.
+     */
+    async cutover(options = {}) {
+        const execute = options.confirm === true && !this.dryRun;
+        const cancelAt = options.cancelAt || 'period_end';
+        this.log(execute ? 'Starting cutover...' : 'Previewing cutover (pass { confirm: true } to execute)...');
+        try {
+            if (!CUTOVER_MODES.includes(cancelAt)) throw new Error(`cancelAt must be one of: ${CUTOVER_MODES.join(', ')}`);
+
+            const report = {
+                generatedAt: new Date().toISOString(),
+                confirmed: execute,
+                cancelAt,
+                summary: { cancel: 0, cancel_at_period_end: 0, skip: 0, error: 0 },
+                actions: []
+            };
+
+            const migrationMap = this.getMigrationMap();
+            await mapConcurrent(migrationMap.entries('subscriptions'), this.concurrency, async ([oldId, newId]) => {
+                let entry;
+                try {
+                    const oldSub = await this.request(() => this.oldStripe.subscriptions.retrieve(oldId));
+                    const reason = await this.cutoverBlocker(oldSub, newId, cancelAt);
+                    if (reason) {
+                        entry = { oldId, newId, action: 'skip', reason };
+                    } else if (cancelAt === 'immediately') {
+                        entry = { oldId, newId, action: 'cancel' };
+                        if (execute) await this.request(() => this.oldStripe.subscriptions.cancel(oldId, { prorate: false, invoice_now: false }));
+                    } else {
+                        entry = { oldId, newId, action: 'cancel_at_period_end', endsAt: oldSub.current_period_end };
+                        if (execute) await this.request(() => this.oldStripe.subscriptions.update(oldId, { cancel_at_period_end: true }));
+                    }
+                } catch (err) {
+                    this.log(`❌ Failed to cut over subscription ${oldId}: ${err.message}`);
+                    entry = { oldId, newId, action: 'error', reason: err.message };
+                }
+                report.summary[entry.action]++;
+                report.actions.push(entry);
+            });
+
+            const reportPath = path.join(this.exportPath, 'cutover-report.json');
+            writeFileAtomic(reportPath, JSON.stringify(report, null, 2));
+
+            const canceled = report.summary.cancel + report.summary.cancel_at_period_end;
+            if (execute) {
+                this.log(`✅ Cutover complete! ${canceled} old subscriptions canceled, ${report.summary.skip} not ready.`);
+            } else {
+                this.log(`📝 Cutover preview: ${canceled} old subscriptions would be canceled, ${report.summary.skip} are not ready. See ${reportPath}`);
+            }
+            return report;
+        } catch (error) {
+            this.emit('error', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Why the old subscription cannot be canceled yet, or null if it can.
+     */
+    async cutoverBlocker(oldSub, newId, cancelAt) {
+        if (['canceled', 'incomplete_expired'].includes(oldSub.status)) return `Old subscription already ${oldSub.status}`;
+        if (oldSub.cancel_at_period_end && cancelAt === 'period_end') return 'Old subscription already cancels at period end';
+
+        const newSub = await this.request(() => this.newStripe.subscriptions.retrieve(newId));
+        if (!['active', 'trialing'].includes(newSub.status)) return `New subscription is ${newSub.status}`;
+        if (newSub.cancel_at_period_end) return 'New subscription is set to cancel';
+        if (newSub.default_payment_method || newSub.items.data.every(item => item.price.unit_amount === 0)) return null;
+
+        const customer = await this.request(() => this.newStripe.customers.retrieve(newSub.customer));
+        if (!customer.invoice_settings?.default_payment_method && !customer.default_source) return 'New customer has no payment method';
+        return null;
+    }
+
+    /**
+     * Find mapped customers with a live paid subscription (active or trialing,
+     * not set to cancel) in both the old and the new account. For each one the
+     * next invoice of either account is looked up; `dueInBoth` flags customers
+     * whose next invoices in both accounts are due within `withinDays`
+     * (default 7). A customer whose lookup fails gets a row with its `error`
+     * and the scan goes on. Read-only. Writes and returns
+     * double-billing-report.json.
+     */
+    async detectDoubleBilling(options = {}) {
+        const withinDays = options.withinDays ?? 7;
+        this.log(`Checking for customers billed in both accounts (invoices due within ${withinDays} days)...`);
+        try {
+            const horizon = Math.floor(Date.now() / 1000) + withinDays * 24 * 60 * 60;
+            const migrationMap = this.getMigrationMap();
+            const report = {
+                generatedAt: new Date().toISOString(),
+                withinDays,
+                summary: { customersChecked: 0, billedInBoth: 0, dueInBoth: 0, errors: 0 },
+                customers: []
+            };
+
+            await mapConcurrent(migrationMap.entries('customers'), this.concurrency, async ([oldId, newId]) => {
+                report.summary.customersChecked++;
+                try {
+                    const oldSubs = await this.liveBilledSubscriptions(this.oldStripe, oldId);
+                    if (oldSubs.length === 0) return;
+                    const newSubs = await this.liveBilledSubscriptions(this.newStripe, newId);
+                    if (newSubs.length === 0) return;
+
+                    const customer = await this.request(() => this.newStripe.customers.retrieve(newId));
+                    const oldInvoice = await this.nextInvoice(this.oldStripe, oldId, oldSubs);
+                    const newInvoice = await this.nextInvoice(this.newStripe, newId, newSubs);
+                    const dueInBoth = Boolean(oldInvoice && newInvoice && oldInvoice.dueAt <= horizon && newInvoice.dueAt <= horizon);
+
+                    report.summary.billedInBoth++;
+                    if (dueInBoth) report.summary.dueInBoth++;
+                    report.customers.push({
+                        oldCustomerId: oldId,
+                        newCustomerId: newId,
+                        email: customer.email,
+                        oldSubscriptions: oldSubs.map(sub => ({ id: sub.id, status: sub.status })),
+                        newSubscriptions: newSubs.map(sub => ({ id: sub.id, status: sub.status })),
+                        oldInvoice,
+                        newInvoice,
+                        dueInBoth
+                    });
+                } catch (err) {
+                    this.log(`❌ Failed to check customer ${oldId} for double billing: ${err.message}`);
+                    report.summary.errors++;
+                    report.customers.push({
+                        oldCustomerId: oldId,
+                        newCustomerId: newId,
+                        oldSubscriptions: [],
+                        newSubscriptions: [],
+                        dueInBoth: false,
+                        error: err.message
+                    });
+                }
+            });
+
+            report.customers.sort((a, b) => b.dueInBoth - a.dueInBoth);
+            const reportPath = path.join(this.exportPath, 'double-billing-report.json');
+            writeFileAtomic(reportPath, JSON.stringify(report, null, 2));
+
+            const { billedInBoth, dueInBoth, errors } = report.summary;
+            this.log(billedInBoth > 0
+                ? `⚠️ ${billedInBoth} customers have paid subscriptions in both accounts, ${dueInBoth} with invoices due in both within ${withinDays} days. See ${reportPath}`
+                : '✅ No customer has paid subscriptions in both accounts.');
+            if (errors > 0) this.log(`⚠️ ${errors} customers could not be checked (rows with an \`error\` in the report).`);
+            return report;
+        } catch (error) {
+            this.emit('error', error);
+            throw error;
+        }
+    }
+
+    /**
+     * The customer's active or trialing paid subscriptions that will renew.
+     */
+    async liveBilledSubscriptions(stripe, customerId) {
+        const subscriptions = [];
+        for await (const sub of this.listEach(stripe.subscriptions, { customer: customerId })) {
+            const isPaid = sub.items.data.some(item => item.price.unit_amount !== 0);
+            if (['active', 'trialing'].includes(sub.status) && !sub.cancel_at_period_end && isPaid) subscriptions.push(sub);
+        }
+        return subscriptions;
+    }
+
+    /**
+     * The earliest upcoming invoice with an amount due among `subscriptions`,
+     * as `{ subscription, dueAt, amountDue, currency, formattedAmount }`.
+     */
+    async nextInvoice(stripe, customerId, subscriptions) {
+        let next = null;
+        for (const sub of subscriptions) {
+            let invoice;
+            try {
+                invoice = await this.request(() => stripe.invoices.retrieveUpcoming({ customer: customerId, subscription: sub.id }));
+            } catch (err) {
+                if (err.code === 'invoice_upcoming_none') continue;
+                throw err;
+            }
+            if (invoice.amount_due <= 0) continue;
+
+            const dueAt = invoice.due_date || invoice.next_payment_attempt || invoice.created;
+            if (!next || dueAt < next.dueAt) {
+                next = {
+                    subscription: sub.id,
+                    dueAt,
+                    amountDue: invoice.amount_due,
+                    currency: invoice.currency,
+                    formattedAmount: formatAmount(invoice.amount_due, invoice.currency)
+                };
+            }
+        }
+        return next;
+    }
+}
+
+// Adoption order: what other objects depend on first
+const ADOPTION_STEPS = [
+    { type: 'products', metadataKey: 'old_stripe_product_id' },
+    { type: 'prices', metadataKey: 'old_stripe_price_id' },
+    { type: 'customers', metadataKey: 'old_stripe_customer_id' },
+    { type: 'subscriptions', metadataKey: 'old_stripe_subscription_id' }
+];
+
+// Rollback order: dependents before what they depend on
+const ROLLBACK_STEPS = [
+    {
+        type: 'subscriptionSchedules',
+        metadataKey: 'old_stripe_subscription_schedule_id',
+        action: 'release',
+        undo: (stripe, id, schedule) => ['active', 'not_started'].includes(schedule.status) ? stripe.subscriptionSchedules.release(id) : null
+    },
+    {
+        type: 'subscriptions',
+        metadataKey: 'old_stripe_subscription_id',
+        action: 'cancel',
+        undo: (stripe, id, sub) => ['canceled', 'incomplete_expired'].includes(sub.status) ? null : stripe.subscriptions.cancel(id)
+    },
+    {
+        type: 'customers',
+        metadataKey: 'old_stripe_customer_id',
+        action: 'delete',
+        undo: (stripe, id) => stripe.customers.del(id)
+    },
+    {
+        type: 'prices',
+        metadataKey: 'old_stripe_price_id',
+        action: 'archive',
+        undo: (stripe, id) => stripe.prices.update(id, { active: false })
+    },
+    {
+        type: 'products',
+        metadataKey: 'old_stripe_product_id',
+        action: 'archive',
+        undo: (stripe, id) => stripe.products.update(id, { active: false })
+    }
+];
+
+// When cutover() cancels the old subscriptions
+const CUTOVER_MODES = ['period_end', 'immediately'];
+
+function toTimestamp(date) {
+    if (date === undefined || date === null) return null;
+    const timestamp = date instanceof Date ? Math.floor(date.getTime() / 1000) : Number(date);
+    if (Number.isNaN(timestamp)) throw new Error(`Invalid date: ${date}`);
+    return timestamp;
+}
+
+/**
+ * Whole calendar months from now until `end`, rounded down so a derived
+ * coupon never outlasts the old discount. 0 if less than a month is left.
+ */
+function remainingMonths(end) {
+    const from = new Date();
+    const to = new Date(end * 1000);
+    if (to <= from) return 0;
+
+    let months = (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + to.getUTCMonth() - from.getUTCMonth();
+    const anniversary = new Date(from);
+    anniversary.setUTCMonth(from.getUTCMonth() + months);
+    if (anniversary > to) months--;
+    return months;
 }
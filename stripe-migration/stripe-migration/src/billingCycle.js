@@ -0,0 +1,58 @@
+/**
+ * Billing cycle strategies.
+ *
+ * A new subscription starts its billing cycle when it is created. To bill
+ * next when the old subscription would have (its `current_period_end`), the
+ * subscription create payload gets one of:
+ *
+ * - 'trial': a trial until the old period end. The subscription is
+ *   `trialing` until then, so it counts as a trial in reports.
+ * - 'anchor': `billing_cycle_anchor` at the old period end with
+ *   `proration_behavior: 'none'`. The subscription is active and nothing is
+ *   charged until the anchor.
+ * - 'backdate': `backdate_start_date` at the old period start with
+ *   `proration_behavior: 'none'`. The subscription is active, continues the
+ *   old period, and the backdated time is not charged.
+ *
+ * A trial still running in the old account is kept as it is
+ * ('existing_trial'). Subscriptions that must not look like trials (free
+ * ones, and past_due or unpaid ones that owe money) are anchored instead of
+ * put on a trial. When the old period has already ended there is no cycle to
+ * keep ('none').
+ */
+
+export const BILLING_CYCLE_STRATEGIES = ['trial', 'anchor', 'backdate'];
+
+/**
+ * Add the billing cycle of the old subscription `sub` to the create payload
+ * `subData` and record the strategy used in `metadata.billing_cycle_strategy`.
+ * With `allowTrial: false` no trial is set. Returns the strategy used.
+ */
+export function applyBillingCycle(subData, sub, strategy = 'trial', { allowTrial = true } = {}) {
+    if (!BILLING_CYCLE_STRATEGIES.includes(strategy)) {
+        throw new Error(`Billing cycle strategy must be one of: ${BILLING_CYCLE_STRATEGIES.join(', ')}`);
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    let applied;
+    if (allowTrial && sub.trial_end && sub.trial_end > now) {
+        subData.trial_end = sub.trial_end;
+        applied = 'existing_trial';
+    } else if (!(sub.current_period_end > now)) {
+        applied = 'none';
+    } else {
+        applied = strategy === 'trial' && !allowTrial ? 'anchor' : strategy;
+        if (applied === 'trial') {
+            subData.trial_end = sub.current_period_end;
+        } else if (applied === 'anchor') {
+            subData.billing_cycle_anchor = sub.current_period_end;
+            subData.proration_behavior = 'none';
+        } else {
+            subData.backdate_start_date = sub.current_period_start;
+            subData.proration_behavior = 'none';
+        }
+    }
+
+    subData.metadata = { ...subData.metadata, billing_cycle_strategy: applied };
+    return applied;
+}
@@ -0,0 +1,129 @@
+/**
+ * Create payloads for copying products and prices to another account.
+ *
+ * Retrieved prices carry read-only fields the create call rejects: tiers end
+ * with `up_to: null` and carry both integer and decimal amounts, and
+ * `custom_unit_amount` lacks `enabled`. The builders below keep every
+ * creatable attribute and drop the rest.
+ */
+
+// Prices only include these when expanded; export them with this expand list
+export const PRICE_EXPAND = ['currency_options', 'tiers'];
+
+const PRODUCT_FIELDS = ['description', 'statement_descriptor', 'tax_code', 'unit_label', 'url', 'shippable', 'package_dimensions'];
+const RECURRING_FIELDS = ['interval', 'interval_count', 'usage_type', 'aggregate_usage', 'trial_period_days', 'meter'];
+
+export function productPayload(product) {
+    const payload = {
+        name: product.name,
+        metadata: { ...product.metadata, old_stripe_product_id: product.id },
+        active: product.active,
+        images: product.images
+    };
+
+    for (const field of PRODUCT_FIELDS) {
+        const value = product[field];
+        if (value !== null && value !== undefined && value !== '') {
+            payload[field] = field === 'tax_code' && typeof value === 'object' ? value.id : value;
+        }
+    }
+    if (product.features && product.features.length > 0) {
+        payload.features = product.features.map(({ name }) => ({ name }));
+    }
+    return payload;
+}
+
+/**
+ * `newProductId` is the product in the new account, and `newMeterId` the
+ * billing meter a metered price reports to. A lookup key is moved from
+ * whichever new-account price holds it (`transfer_lookup_key`).
+ */
+export function pricePayload(price, newProductId, newMeterId = null) {
+    const payload = {
+        product: newProductId,
+        currency: price.currency,
+        metadata: { ...price.metadata, old_stripe_price_id: price.id },
+        active: price.active,
+        nickname: price.nickname,
+    };
+
+    if (price.lookup_key) {
+        payload.lookup_key = price.lookup_key;
+        payload.transfer_lookup_key = true;
+    }
+    if (price.recurring) {
+        payload.recurring = pick(price.recurring, RECURRING_FIELDS);
+        if (price.recurring.meter) {
+            if (!newMeterId) throw new Error(`Meter ${price.recurring.meter} of price ${price.id} is not migrated. Migrate the meters first.`);
+            // The meter sets the aggregation
+            payload.recurring.meter = newMeterId;
+            delete payload.recurring.aggregate_usage;
+        }
+    }
+    if (price.transform_quantity) {
+        payload.transform_quantity = pick(price.transform_quantity, ['divide_by', 'round']);
+    }
+    if (price.tax_behavior) {
+        payload.tax_behavior = price.tax_behavior;
+    }
+
+    if (price.billing_scheme === 'tiered') {
+        if (!price.tiers) throw new Error(`Price ${price.id} is tiered but its export has no tiers. Export the products again.`);
+        payload.billing_scheme = 'tiered';
+        payload.tiers_mode = price.tiers_mode;
+        payload.tiers = price.tiers.map(tierPayload);
+    } else {
+        Object.assign(payload, amountPayload(price));
+    }
+
+    // The default currency is set by `currency` and may not be repeated
+    const currencyOptions = Object.entries(price.currency_options || {}).filter(([currency]) => currency !== price.currency);
+    if (currencyOptions.length > 0) {
+        payload.currency_options = Object.fromEntries(currencyOptions.map(([currency, option]) => [currency, currencyOptionPayload(option)]));
+    }
+    return payload;
+}
+
+function currencyOptionPayload(option) {
+    const payload = option.tiers ? { tiers: option.tiers.map(tierPayload) } : amountPayload(option);
+    if (option.tax_behavior) payload.tax_behavior = option.tax_behavior;
+    return payload;
+}
+
+/**
+ * Exactly one of `custom_unit_amount`, `unit_amount_decimal` (for fractional
+ * amounts) or `unit_amount`.
+ */
+function amountPayload(source) {
+    if (source.custom_unit_amount) {
+        return { custom_unit_amount: { enabled: true, ...pick(source.custom_unit_amount, ['maximum', 'minimum', 'preset']) } };
+    }
+    if (isFractional(source.unit_amount_decimal)) return { unit_amount_decimal: source.unit_amount_decimal };
+    if (source.unit_amount !== null && source.unit_amount !== undefined) return { unit_amount: source.unit_amount };
+    return {};
+}
+
+function tierPayload(tier) {
+    const payload = { up_to: tier.up_to ?? 'inf' };
+    if (isFractional(tier.flat_amount_decimal)) {
+        payload.flat_amount_decimal = tier.flat_amount_decimal;
+    } else if (tier.flat_amount !== null && tier.flat_amount !== undefined) {
+        payload.flat_amount = tier.flat_amount;
+    }
+    if (isFractional(tier.unit_amount_decimal)) {
+        payload.unit_amount_decimal = tier.unit_amount_decimal;
+    } else if (tier.unit_amount !== null && tier.unit_amount !== undefined) {
+        payload.unit_amount = tier.unit_amount;
+    }
+    return payload;
+}
+
+function isFractional(decimal) {
+    return decimal !== null && decimal !== undefined && !Number.isInteger(Number(decimal));
+}
+
+function pick(object, fields) {
+    return Object.fromEntries(fields
+        .filter(field => object[field] !== null && object[field] !== undefined)
+        .map(field => [field, object[field]]));
+}
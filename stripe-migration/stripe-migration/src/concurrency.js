@@ -0,0 +1,86 @@
+/**
+ * Concurrency and retry helpers for API calls.
+ *
+ * Stripe rejects bursts with 429s and occasionally fails a request with a
+ * connection error or a 5xx. `withRetry` retries those with exponential
+ * backoff, honoring the `Retry-After` and `Stripe-Should-Retry` response
+ * headers; `mapConcurrent` runs a worker over a list or stream with a fixed
+ * number of calls in flight.
+ */
+
+const MAX_RETRY_DELAY = 30000;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Run `worker(item, index)` for every item of `items` (an array or async
+ * iterable, e.g. a streamed export) with at most `concurrency` running at once.
+ * Items are pulled lazily, so a stream is never read far ahead of the workers.
+ * Rejects with the first worker error once the running workers have settled.
+ */
+export async function mapConcurrent(items, concurrency, worker) {
+    const running = new Set();
+    let failure = null;
+    let index = 0;
+
+    for await (const item of items) {
+        if (failure) break;
+
+        const task = Promise.resolve(worker(item, index++))
+            .catch(error => { failure = failure || error; })
+            .finally(() => running.delete(task));
+        running.add(task);
+
+        if (running.size >= concurrency) await Promise.race(running);
+    }
+
+    await Promise.all(running);
+    if (failure) throw failure;
+}
+
+/**
+ * Whether a failed Stripe call is worth retrying: rate limits, lock timeouts,
+ * connection errors and server errors, unless Stripe says not to.
+ */
+export function isRetryable(error) {
+    const shouldRetry = error.headers && error.headers['stripe-should-retry'];
+    if (shouldRetry === 'false') return false;
+    if (shouldRetry === 'true') return true;
+
+    if (error.type === 'StripeRateLimitError' || error.statusCode === 429) return true;
+    if (error.type === 'StripeConnectionError') return true;
+    if (error.statusCode === 409 && error.code === 'lock_timeout') return true;
+    return error.statusCode >= 500;
+}
+
+/**
+ * Delay in ms before retry number `attempt` (1-based): the `Retry-After`
+ * header if Stripe sent one, otherwise exponential backoff with jitter.
+ */
+export function retryDelay(error, attempt, baseDelay) {
+    const retryAfter = Number(error.headers && error.headers['retry-after']);
+    if (retryAfter > 0) return Math.min(retryAfter * 1000, MAX_RETRY_DELAY);
+
+    const backoff = Math.min(baseDelay * 2 ** (attempt - 1), MAX_RETRY_DELAY);
+    return backoff / 2 + Math.random() * backoff / 2;
+}
+
+/**
+ * Call `fn`, retrying retryable errors up to `maxRetries` times.
+ * `onRetry(error, attempt, delay)` is called before each wait.
+ */
+export async function withRetry(fn, { maxRetries = 5, baseDelay = 1000, onRetry } = {}) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn();
+        } catch (error) {
+            if (attempt > maxRetries || !isRetryable(error)) throw error;
+
+            const delay = retryDelay(error, attempt, baseDelay);
+            if (onRetry) onRetry(error, attempt, delay);
+            await sleep(delay);
+        }
+    }
+}
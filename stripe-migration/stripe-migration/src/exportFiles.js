@@ -0,0 +1,236 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+
+/**
+ * Export file helpers.
+ *
+ * List exports (customers, subscriptions) are written either as one
+ * pretty-printed JSON array (`<name>-export.json`) or as NDJSON
+ * (`<name>-export.ndjson`, one object per line). NDJSON is written page by
+ * page as it arrives and read back as a stream, so large accounts never have
+ * to fit in memory.
+ */
+
+export const EXPORT_FORMATS = ['json', 'ndjson'];
+
+export function exportFilePath(dir, name, format) {
+    return path.join(dir, `${name}-export.${format}`);
+}
+
+/**
+ * Resolve the export file for `name` in either format, or null if there is none.
+ * If both exist the most recently written one wins.
+ */
+export function findExportFile(dir, name) {
+    const candidates = EXPORT_FORMATS
+        .map(format => exportFilePath(dir, name, format))
+        .filter(file => fs.existsSync(file))
+        .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+    return candidates[0] || null;
+}
+
+/**
+ * Resumable writer for a list export.
+ *
+ * Pages are appended to `<name>-export.partial.ndjson` and, after each page,
+ * a checkpoint (`<name>-export.checkpoint.json`) records the cursor the caller
+ * passes to `write()` plus the number of records and bytes written. If an
+ * export dies part way, the next writer for the same name picks the checkpoint
+ * up (`checkpoint` is then set) and the caller continues from its cursor;
+ * anything written after the last checkpoint is truncated away.
+ *
+ * `finish()` moves the data into the final export in the requested format,
+ * removes the partial files and any stale export in the other format, and
+ * returns `{ file, count, records }` (`records` only in JSON mode).
+ * Pass `{ resume: false }` to discard a previous checkpoint.
+ */
+export function createExportWriter(dir, name, format = 'json', options = {}) {
+    if (!EXPORT_FORMATS.includes(format)) throw new Error(`Unknown export format: ${format}`);
+
+    const file = exportFilePath(dir, name, format);
+    const partialFile = path.join(dir, `${name}-export.partial.ndjson`);
+    const checkpointFile = path.join(dir, `${name}-export.checkpoint.json`);
+
+    let checkpoint = null;
+    if (options.resume !== false && fs.existsSync(checkpointFile) && fs.existsSync(partialFile)) {
+        checkpoint = JSON.parse(fs.readFileSync(checkpointFile, 'utf8'));
+        fs.truncateSync(partialFile, checkpoint.bytes);
+    }
+
+    const fd = fs.openSync(partialFile, checkpoint ? 'a' : 'w');
+    let bytes = checkpoint ? checkpoint.bytes : 0;
+    let count = checkpoint ? checkpoint.count : 0;
+
+    return {
+        file,
+        checkpoint,
+
+        write: (objects, cursor = {}) => {
+            if (objects.length > 0) {
+                const chunk = objects.map(o => JSON.stringify(o)).join('\n') + '\n';
+                fs.writeSync(fd, chunk);
+                fs.fsyncSync(fd);
+                bytes += Buffer.byteLength(chunk);
+                count += objects.length;
+            }
+            writeFileAtomic(checkpointFile, JSON.stringify({
+                ...cursor,
+                name,
+                format,
+                count,
+                bytes,
+                updatedAt: new Date().toISOString()
+            }, null, 2));
+        },
+
+        finish: () => {
+            fs.closeSync(fd);
+
+            let records;
+            if (format === 'json') {
+                records = fs.readFileSync(partialFile, 'utf8')
+                    .split('\n')
+                    .filter(line => line.trim())
+                    .map(line => JSON.parse(line));
+                writeFileAtomic(file, JSON.stringify(records, null, 2));
+                fs.unlinkSync(partialFile);
+            } else {
+                fs.renameSync(partialFile, file);
+            }
+
+            if (fs.existsSync(checkpointFile)) fs.unlinkSync(checkpointFile);
+            EXPORT_FORMATS
+                .filter(f => f !== format)
+                .map(f => exportFilePath(dir, name, f))
+                .forEach(other => fs.existsSync(other) && fs.unlinkSync(other));
+
+            return { file, count, records };
+        }
+    };
+}
+
+/**
+ * Write via a temporary file and rename, so readers never see a half-written file.
+ */
+export function writeFileAtomic(file, contents) {
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, contents);
+    fs.renameSync(tmpFile, file);
+}
+
+function readRunFile(dir) {
+    const runPath = path.join(dir, 'migration-run.json');
+    return fs.existsSync(runPath) ? JSON.parse(fs.readFileSync(runPath, 'utf8')) : null;
+}
+
+function writeRunFile(dir, runId, rolledBack = []) {
+    const run = { runId, createdAt: new Date().toISOString() };
+    if (rolledBack.length > 0) run.rolledBack = rolledBack;
+    writeFileAtomic(path.join(dir, 'migration-run.json'), JSON.stringify(run, null, 2));
+}
+
+/**
+ * A random run ID. `crypto.randomUUID` only exists from Node 14.17, so the ID
+ * is built from random bytes.
+ */
+function createRunId() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Read the run ID of the export directory `dir` (`migration-run.json`),
+ * creating it on first use. Idempotency keys and the `migration_run_id`
+ * metadata tag are built from it. A `runId` passed in is used instead, unless
+ * it was rolled back (see retireRunId).
+ */
+export function loadRunId(dir, runId) {
+    const run = readRunFile(dir);
+    if (runId) {
+        if (run && (run.rolledBack || []).includes(runId)) {
+            throw new Error(`Run ${runId} was rolled back; its idempotency keys would return the rolled back objects. Use a new run ID.`);
+        }
+        return runId;
+    }
+    if (run) return run.runId;
+
+    const newRunId = createRunId();
+    writeRunFile(dir, newRunId);
+    return newRunId;
+}
+
+/**
+ * Retire `runIds` after a rollback: they are recorded as rolled back and
+ * migration-run.json gets a new run ID, so the next run creates new objects
+ * instead of getting the rolled back ones from their idempotency keys.
+ * Returns the new run ID.
+ */
+export function retireRunId(dir, ...runIds) {
+    const run = readRunFile(dir);
+    const rolledBack = [...new Set([...(run && run.rolledBack) || [], ...runIds])];
+    const newRunId = createRunId();
+    writeRunFile(dir, newRunId, rolledBack);
+    return newRunId;
+}
+
+/**
+ * Merge `records` into the existing `name` export (either format), skipping
+ * IDs that are already there. Returns the number of records added.
+ */
+export async function mergeIntoExport(dir, name, records) {
+    const file = findExportFile(dir, name);
+    if (!file) throw new Error(`No ${name} export found in ${dir}`);
+
+    if (file.endsWith('.json')) {
+        const existing = JSON.parse(fs.readFileSync(file));
+        const ids = new Set(existing.map(o => o.id));
+        const added = [];
+        for await (const record of records) {
+            if (!ids.has(record.id)) {
+                ids.add(record.id);
+                added.push(record);
+            }
+        }
+        writeFileAtomic(file, JSON.stringify([...added, ...existing], null, 2));
+        return added.length;
+    }
+
+    const ids = new Set();
+    for await (const record of readNdjson(file)) ids.add(record.id);
+
+    const fd = fs.openSync(file, 'a');
+    let added = 0;
+    try {
+        for await (const record of records) {
+            if (ids.has(record.id)) continue;
+            ids.add(record.id);
+            fs.writeSync(fd, JSON.stringify(record) + '\n');
+            added++;
+        }
+    } finally {
+        fs.closeSync(fd);
+    }
+    return added;
+}
+
+export async function* readNdjson(file) {
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    for await (const line of lines) {
+        if (line.trim()) yield JSON.parse(line);
+    }
+}
+
+/**
+ * Stream the records of a list export, whichever format it was written in.
+ */
+export async function* readExport(dir, name) {
+    const file = findExportFile(dir, name);
+    if (!file) throw new Error(`No ${name} export found in ${dir}`);
+
+    if (file.endsWith('.ndjson')) {
+        yield* readNdjson(file);
+    } else {
+        yield* JSON.parse(fs.readFileSync(file));
+    }
+}
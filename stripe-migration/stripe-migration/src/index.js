@@ -1,4 +1,6 @@
 import { StripeMigrator } from './StripeMigrator.js';
+import { StripeEmulator } from './StripeEmulator.js';
+import { JsonMapStore, SqliteMapStore, openMapStore } from './mapStores.js';
 
 export default StripeMigrator;
-export { StripeMigrator };
+export { StripeMigrator, StripeEmulator, JsonMapStore, SqliteMapStore, openMapStore };
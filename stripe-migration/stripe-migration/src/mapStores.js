@@ -0,0 +1,237 @@
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { writeFileAtomic } from './exportFiles.js';
+
+/**
+ * Migration map stores.
+ *
+ * The migration map links every migrated object to its copy in the new
+ * account, per section (customers, prices, ...). Stores implement:
+ *
+ *   get(section, oldId)       new ID, or undefined
+ *   getOldId(section, newId)  reverse lookup
+ *   set(section, oldId, newId)
+ *   delete(section, oldId)
+ *   entries(section)          [oldId, newId] pairs
+ *   count(section)
+ *   flush()                   persist pending writes
+ *   close()
+ *
+ * JsonMapStore keeps the map in memory and rewrites `migration-map.json`
+ * atomically on flush; SqliteMapStore commits every write to
+ * `migration-map.sqlite` and suits maps with hundreds of thousands of IDs.
+ */
+
+export const MAP_SECTIONS = ['customers', 'products', 'prices', 'subscriptions', 'coupons', 'promotionCodes', 'taxRates', 'meters', 'subscriptionSchedules', 'paymentMethods', 'defaultPaymentMethods', 'carriedOverInvoices'];
+
+/**
+ * Without a `filePath` the map only lives in memory.
+ */
+export class JsonMapStore {
+    constructor(filePath = null) {
+        this.filePath = filePath;
+        this.sections = {};
+        this.reverse = {};
+        this.dirty = false;
+
+        const data = filePath && fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+        for (const section of new Set([...MAP_SECTIONS, ...Object.keys(data)])) {
+            this.sections[section] = new Map(Object.entries(data[section] || {}));
+        }
+    }
+
+    section(section) {
+        if (!this.sections[section]) this.sections[section] = new Map();
+        return this.sections[section];
+    }
+
+    get(section, oldId) {
+        return this.section(section).get(oldId);
+    }
+
+    getOldId(section, newId) {
+        // The reverse index is built on first use and kept up to date by set/delete
+        if (!this.reverse[section]) {
+            this.reverse[section] = new Map([...this.section(section)].map(([oldId, id]) => [id, oldId]));
+        }
+        return this.reverse[section].get(newId);
+    }
+
+    set(section, oldId, newId) {
+        const previous = this.section(section).get(oldId);
+        this.section(section).set(oldId, newId);
+        if (this.reverse[section]) {
+            // A remapped old ID no longer owns its previous new ID
+            if (previous !== undefined && this.reverse[section].get(previous) === oldId) this.reverse[section].delete(previous);
+            this.reverse[section].set(newId, oldId);
+        }
+        this.dirty = true;
+    }
+
+    delete(section, oldId) {
+        const newId = this.section(section).get(oldId);
+        if (newId === undefined) return;
+        this.section(section).delete(oldId);
+        if (this.reverse[section]) this.reverse[section].delete(newId);
+        this.dirty = true;
+    }
+
+    entries(section) {
+        return [...this.section(section)];
+    }
+
+    count(section) {
+        return this.section(section).size;
+    }
+
+    flush() {
+        if (!this.dirty || !this.filePath) return;
+        const data = {};
+        for (const [section, ids] of Object.entries(this.sections)) {
+            data[section] = Object.fromEntries(ids);
+        }
+        writeFileAtomic(this.filePath, JSON.stringify(data, null, 2));
+        this.dirty = false;
+    }
+
+    close() {
+        this.flush();
+    }
+}
+
+export class SqliteMapStore {
+    constructor(filePath) {
+        let Database;
+        try {
+            Database = createRequire(import.meta.url)('better-sqlite3');
+        } catch (error) {
+            throw new Error('The SQLite map store needs better-sqlite3: npm install better-sqlite3');
+        }
+
+        this.filePath = filePath;
+        this.db = new Database(filePath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS id_map (
+                section TEXT NOT NULL,
+                old_id TEXT NOT NULL,
+                new_id TEXT NOT NULL,
+                PRIMARY KEY (section, old_id)
+            );
+            CREATE INDEX IF NOT EXISTS id_map_new_id ON id_map (section, new_id);
+        `);
+
+        this.statements = {
+            get: this.db.prepare('SELECT new_id FROM id_map WHERE section = ? AND old_id = ?').pluck(),
+            getOldId: this.db.prepare('SELECT old_id FROM id_map WHERE section = ? AND new_id = ?').pluck(),
+            set: this.db.prepare('INSERT OR REPLACE INTO id_map (section, old_id, new_id) VALUES (?, ?, ?)'),
+            delete: this.db.prepare('DELETE FROM id_map WHERE section = ? AND old_id = ?'),
+            entries: this.db.prepare('SELECT old_id, new_id FROM id_map WHERE section = ? ORDER BY rowid').raw(),
+            count: this.db.prepare('SELECT COUNT(*) FROM id_map WHERE section = ?').pluck()
+        };
+    }
+
+    get(section, oldId) {
+        return this.statements.get.get(section, oldId);
+    }
+
+    getOldId(section, newId) {
+        return this.statements.getOldId.get(section, newId);
+    }
+
+    set(section, oldId, newId) {
+        this.statements.set.run(section, oldId, newId);
+    }
+
+    delete(section, oldId) {
+        this.statements.delete.run(section, oldId);
+    }
+
+    entries(section) {
+        return this.statements.entries.all(section);
+    }
+
+    count(section) {
+        return this.statements.count.get(section);
+    }
+
+    flush() {
+        // Every write is already committed
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+/**
+ * Read-through layer that keeps its own writes in memory, so a dry run can map
+ * to placeholder IDs without touching the underlying store. Deletes are kept
+ * as tombstones that hide the underlying entry.
+ */
+export class OverlayMapStore {
+    constructor(base) {
+        this.base = base;
+        this.overlay = new JsonMapStore();
+        this.deleted = {};
+    }
+
+    tombstones(section) {
+        if (!this.deleted[section]) this.deleted[section] = new Set();
+        return this.deleted[section];
+    }
+
+    // Set or deleted in the overlay: the underlying entry no longer applies
+    shadows(section, oldId) {
+        return this.overlay.get(section, oldId) !== undefined || this.tombstones(section).has(oldId);
+    }
+
+    get(section, oldId) {
+        if (this.shadows(section, oldId)) return this.overlay.get(section, oldId);
+        return this.base.get(section, oldId);
+    }
+
+    getOldId(section, newId) {
+        const oldId = this.overlay.getOldId(section, newId);
+        if (oldId !== undefined) return oldId;
+
+        const baseOldId = this.base.getOldId(section, newId);
+        return baseOldId === undefined || this.shadows(section, baseOldId) ? undefined : baseOldId;
+    }
+
+    set(section, oldId, newId) {
+        this.tombstones(section).delete(oldId);
+        this.overlay.set(section, oldId, newId);
+    }
+
+    delete(section, oldId) {
+        this.overlay.delete(section, oldId);
+        this.tombstones(section).add(oldId);
+    }
+
+    entries(section) {
+        return [
+            ...this.base.entries(section).filter(([oldId]) => !this.shadows(section, oldId)),
+            ...this.overlay.entries(section)
+        ];
+    }
+
+    count(section) {
+        return this.entries(section).length;
+    }
+
+    flush() {}
+
+    close() {}
+}
+
+/**
+ * Open the map store of an export directory: 'json' (migration-map.json,
+ * the default) or 'sqlite' (migration-map.sqlite).
+ */
+export function openMapStore(dir, type = 'json') {
+    if (type === 'json') return new JsonMapStore(path.join(dir, 'migration-map.json'));
+    if (type === 'sqlite') return new SqliteMapStore(path.join(dir, 'migration-map.sqlite'));
+    throw new Error(`Unknown map store: ${type}. Use 'json' or 'sqlite'.`);
+}
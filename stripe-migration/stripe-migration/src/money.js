@@ -0,0 +1,86 @@
+/**
+ * Money helpers.
+ *
+ * Stripe amounts are integers in the currency's minor unit: cents for USD or
+ * EUR, but whole yen for JPY (zero-decimal) and thousandths for KWD
+ * (three-decimal). Amounts in different currencies are never added up;
+ * totals are kept per currency.
+ */
+
+// https://stripe.com/docs/currencies#zero-decimal
+const ZERO_DECIMAL_CURRENCIES = new Set(['bif', 'clp', 'djf', 'gnf', 'jpy', 'kmf', 'krw', 'mga', 'pyg', 'rwf', 'ugx', 'vnd', 'vuv', 'xaf', 'xof', 'xpf']);
+const THREE_DECIMAL_CURRENCIES = new Set(['bhd', 'jod', 'kwd', 'omr', 'tnd']);
+
+// Share of a month one billing interval covers, to compare subscriptions monthly
+const MONTHS_PER_INTERVAL = { day: 12 / 365, week: 12 / 52, month: 1, year: 12 };
+
+export function minorUnitExponent(currency) {
+    const code = currency.toLowerCase();
+    if (ZERO_DECIMAL_CURRENCIES.has(code)) return 0;
+    if (THREE_DECIMAL_CURRENCIES.has(code)) return 3;
+    return 2;
+}
+
+/**
+ * Format a minor-unit amount with its currency symbol, e.g. 1999 'eur' → '€19.99'
+ * and 1999 'jpy' → '¥1,999'.
+ */
+export function formatAmount(amount, currency) {
+    const exponent = minorUnitExponent(currency);
+    return new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency: currency.toUpperCase(),
+        minimumFractionDigits: exponent,
+        maximumFractionDigits: exponent
+    }).format(amount / 10 ** exponent);
+}
+
+/**
+ * Currency and amount billed per period by a subscription's licensed items.
+ * Metered and tiered items have no fixed amount and count as 0.
+ */
+export function subscriptionAmount(sub) {
+    const currency = sub.currency || sub.items.data[0].price.currency;
+    const amount = sub.items.data.reduce((sum, item) =>
+        sum + (item.price.unit_amount || 0) * (item.quantity || 0), 0);
+    return { currency, amount };
+}
+
+/**
+ * subscriptionAmount() spread over a month, in whole minor units.
+ */
+export function monthlyAmount(sub) {
+    const { currency } = subscriptionAmount(sub);
+    const amount = sub.items.data.reduce((sum, item) => {
+        const { interval = 'month', interval_count: count = 1 } = item.price.recurring || {};
+        return sum + (item.price.unit_amount || 0) * (item.quantity || 0) / (MONTHS_PER_INTERVAL[interval] * count);
+    }, 0);
+    return { currency, amount: Math.round(amount) };
+}
+
+/**
+ * Add `amount` to the per-currency `totals` (`{ usd: { amount, count } }`).
+ */
+export function addToTotals(totals, currency, amount) {
+    const code = currency.toLowerCase();
+    if (!totals[code]) totals[code] = { amount: 0, count: 0 };
+    totals[code].amount += amount;
+    totals[code].count++;
+    return totals;
+}
+
+/**
+ * Totals with a formatted amount added, for JSON reports.
+ */
+export function totalsReport(totals) {
+    return Object.fromEntries(Object.entries(totals).map(([currency, total]) =>
+        [currency, { ...total, formatted: formatAmount(total.amount, currency) }]));
+}
+
+/**
+ * One console line per currency, e.g. 'USD: $1,234.00 (12)'.
+ */
+export function formatTotals(totals) {
+    return Object.entries(totals).map(([currency, total]) =>
+        `${currency.toUpperCase()}: ${formatAmount(total.amount, currency)} (${total.count})`);
+}
@@ -0,0 +1,107 @@
+/**
+ * Outstanding balances of past_due and unpaid subscriptions.
+ *
+ * What a delinquent subscription owes sits on its open invoices in the old
+ * account. `openInvoiceBalance` totals what is still due on them and
+ * `carryOverBalance` moves that amount to the migrated subscription:
+ *
+ * - 'invoice_item': a pending invoice item on the new subscription, invoiced
+ *   and finalized right away. The invoice is collected like the
+ *   subscription's own invoices, so a failed payment goes through the new
+ *   account's retries and dunning emails and the subscription turns past_due.
+ * - 'balance': a customer balance transaction. It is added to the amount due
+ *   of the subscription's next invoice, and dunning starts if that fails.
+ *   Nothing is collected until then: with the billing cycle kept, that is
+ *   the old period end, up to a full billing period after the migration,
+ *   and the subscription stays `active` meanwhile. Prefer 'invoice_item'
+ *   unless the delay is intended.
+ *
+ * Once the balance is carried over, `voidInvoices` voids the old open
+ * invoices, so the old account stops retrying and dunning them and the
+ * customer cannot pay them there as well. A rollback does not reopen them.
+ *
+ * Uncollectible invoices were written off in the old account and are not
+ * carried over.
+ */
+
+export const OUTSTANDING_MODES = ['invoice_item', 'balance'];
+export const DELINQUENT_STATUSES = ['past_due', 'unpaid'];
+
+/**
+ * `{ amount, currency, invoices }`: the total `amount_remaining` of the open
+ * invoices of `sub` and their IDs.
+ */
+export async function openInvoiceBalance(stripe, sub, request = fn => fn()) {
+    const invoices = [];
+    let startingAfter;
+    do {
+        const page = await request(() => stripe.invoices.list({ subscription: sub.id, status: 'open', limit: 100, starting_after: startingAfter }));
+        invoices.push(...page.data.filter(invoice => invoice.amount_remaining > 0));
+        startingAfter = page.has_more ? page.data[page.data.length - 1].id : undefined;
+    } while (startingAfter);
+
+    return {
+        amount: invoices.reduce((sum, invoice) => sum + invoice.amount_remaining, 0),
+        currency: invoices.length > 0 ? invoices[0].currency : sub.currency || sub.items.data[0].price.currency,
+        invoices: invoices.map(invoice => invoice.id)
+    };
+}
+
+/**
+ * Charge `balance` (from openInvoiceBalance) to the new subscription `newSub`
+ * of `newCustomerId` as `mode` describes. `key` prefixes the idempotency keys.
+ * Returns the finalized invoice or the balance transaction.
+ */
+export async function carryOverBalance({ newStripe, newSub, newCustomerId, balance, mode, key, request = fn => fn() }) {
+    const description = `Outstanding balance from the previous account (${balance.invoices.join(', ')})`;
+    const metadata = { old_stripe_invoice_ids: balance.invoices.join(',') };
+
+    if (mode === 'balance') {
+        return request(() => newStripe.customers.createBalanceTransaction(newCustomerId, {
+            amount: balance.amount,
+            currency: balance.currency,
+            description,
+            metadata
+        }, { idempotencyKey: `${key}:balance` }));
+    }
+
+    await request(() => newStripe.invoiceItems.create({
+        customer: newCustomerId,
+        subscription: newSub.id,
+        amount: balance.amount,
+        currency: balance.currency,
+        description,
+        metadata
+    }, { idempotencyKey: `${key}:invoice_item` }));
+
+    const invoice = await request(() => newStripe.invoices.create({
+        customer: newCustomerId,
+        subscription: newSub.id,
+        collection_method: newSub.collection_method,
+        ...(newSub.collection_method === 'send_invoice' && newSub.days_until_due ? { days_until_due: newSub.days_until_due } : {}),
+        auto_advance: true,
+        description,
+        metadata
+    }, { idempotencyKey: `${key}:invoice` }));
+
+    return request(() => newStripe.invoices.finalizeInvoice(invoice.id, { auto_advance: true }, { idempotencyKey: `${key}:finalize` }));
+}
+
+/**
+ * Void the old open invoices of `balance` after carryOverBalance. `key`
+ * prefixes the idempotency keys. Returns the IDs of the voided invoices and
+ * the errors of those that could not be voided.
+ */
+export async function voidInvoices({ oldStripe, balance, key, request = fn => fn() }) {
+    const voided = [];
+    const errors = [];
+    for (const invoiceId of balance.invoices) {
+        try {
+            await request(() => oldStripe.invoices.voidInvoice(invoiceId, {}, { idempotencyKey: `${key}:void:${invoiceId}` }));
+            voided.push(invoiceId);
+        } catch (err) {
+            errors.push({ invoice: invoiceId, message: err.message });
+        }
+    }
+    return { voided, errors };
+}
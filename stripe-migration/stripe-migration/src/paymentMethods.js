@@ -0,0 +1,61 @@
+import fs from 'fs';
+
+/**
+ * Reader for the mapping file Stripe hands back after copying payment data
+ * (PAN copy) from the old account to the new one.
+ *
+ * Two layouts are accepted:
+ *
+ * - JSON keyed by old customer ID, as Stripe delivers it:
+ *   `{ "cus_old": { "id": "cus_new", "payment_methods": { "pm_old": { "id": "pm_new" } } } }`.
+ *   Cards and sources may be listed under `cards` / `sources` instead, and the
+ *   old ID may map to the new ID directly instead of to `{ id }`.
+ * - CSV with the header
+ *   `old_customer_id,new_customer_id,old_payment_method_id,new_payment_method_id`,
+ *   one row per payment method.
+ *
+ * Returns a Map of old customer ID → `{ newCustomerId, paymentMethods }`,
+ * where `paymentMethods` maps old to new payment method IDs.
+ */
+export function readPaymentMethodMapping(file) {
+    if (!fs.existsSync(file)) throw new Error(`Payment method mapping not found: ${file}`);
+    const contents = fs.readFileSync(file, 'utf8');
+    return file.endsWith('.csv') ? parseCsvMapping(contents) : parseJsonMapping(JSON.parse(contents));
+}
+
+const JSON_SECTIONS = ['payment_methods', 'cards', 'sources'];
+const CSV_COLUMNS = ['old_customer_id', 'new_customer_id', 'old_payment_method_id', 'new_payment_method_id'];
+
+function parseJsonMapping(data) {
+    const mapping = new Map();
+    for (const [oldCustomerId, entry] of Object.entries(data)) {
+        const paymentMethods = new Map();
+        for (const section of JSON_SECTIONS) {
+            for (const [oldId, copy] of Object.entries(entry[section] || {})) {
+                paymentMethods.set(oldId, typeof copy === 'string' ? copy : copy.id);
+            }
+        }
+        mapping.set(oldCustomerId, { newCustomerId: entry.id, paymentMethods });
+    }
+    return mapping;
+}
+
+function parseCsvMapping(contents) {
+    const [header, ...rows] = contents.split(/\r?\n/).filter(line => line.trim());
+    const columns = header.split(',').map(column => column.trim().replace(/"/g, ''));
+    const missing = CSV_COLUMNS.filter(column => !columns.includes(column));
+    if (missing.length > 0) throw new Error(`Payment method mapping is missing columns: ${missing.join(', ')}`);
+
+    const mapping = new Map();
+    for (const row of rows) {
+        const values = row.split(',').map(value => value.trim().replace(/"/g, ''));
+        const field = column => values[columns.indexOf(column)];
+
+        const oldCustomerId = field('old_customer_id');
+        if (!mapping.has(oldCustomerId)) {
+            mapping.set(oldCustomerId, { newCustomerId: field('new_customer_id'), paymentMethods: new Map() });
+        }
+        mapping.get(oldCustomerId).paymentMethods.set(field('old_payment_method_id'), field('new_payment_method_id'));
+    }
+    return mapping;
+}
@@ -0,0 +1,109 @@
+/**
+ * Field diffs between an exported (old account) object and its copy in the
+ * new account, used by StripeMigrator.verify() and by sync mode.
+ *
+ * Each diff returns a list of `{ field, expected, actual }`; an empty list
+ * means the objects match. Metadata only has to contain the exported keys:
+ * the migration adds its own (`old_stripe_*_id`, `migrated_at`, ...).
+ */
+
+// Period ends of a migrated subscription may drift by the seconds it took to create
+const PERIOD_TOLERANCE_SECONDS = 60 * 60;
+
+export function diffCustomer(oldCustomer, newCustomer) {
+    return [
+        ...diffFields(oldCustomer, newCustomer, ['email', 'name']),
+        ...diffValue('address', oldCustomer.address, newCustomer.address),
+        ...diffMetadata(oldCustomer.metadata, newCustomer.metadata)
+    ];
+}
+
+export function diffProduct(oldProduct, newProduct) {
+    return [
+        ...diffFields(oldProduct, newProduct, ['name', 'description']),
+        ...diffMetadata(oldProduct.metadata, newProduct.metadata)
+    ];
+}
+
+export function diffPrice(oldPrice, newPrice, migrationMap) {
+    return [
+        ...diffFields(oldPrice, newPrice, ['unit_amount', 'currency', 'type']),
+        ...diffValue('product', migrationMap.get('products', oldPrice.product), newPrice.product),
+        ...diffValue('recurring.interval', oldPrice.recurring?.interval, newPrice.recurring?.interval),
+        ...diffValue('recurring.interval_count', oldPrice.recurring?.interval_count, newPrice.recurring?.interval_count),
+        ...diffMetadata(oldPrice.metadata, newPrice.metadata)
+    ];
+}
+
+export function diffSubscription(oldSub, newSub, migrationMap) {
+    const items = sub => sub.items.data
+        .map(item => `${item.price.id} x ${item.quantity ?? 1}`)
+        .sort();
+    const expectedItems = oldSub.items.data
+        .map(item => `${migrationMap.get('prices', item.price.id)} x ${item.quantity ?? 1}`)
+        .sort();
+
+    const diffs = [
+        ...diffValue('customer', migrationMap.get('customers', oldSub.customer), newSub.customer),
+        ...diffValue('items', expectedItems, items(newSub)),
+        ...diffMetadata(oldSub.metadata, newSub.metadata)
+    ];
+
+    // Only a trial still running in the old account carries over
+    if (oldSub.trial_end && oldSub.trial_end > Date.now() / 1000) {
+        diffs.push(...diffTimestamp('trial_end', oldSub.trial_end, newSub.trial_end));
+    }
+    diffs.push(...diffTimestamp('current_period_end', oldSub.current_period_end, newSub.current_period_end));
+    return diffs;
+}
+
+/**
+ * The fields of an update `payload` whose value differs from `current`, ready
+ * to send as an update. Metadata only carries the keys that changed, and a
+ * value cleared in the export is sent as '' to unset it.
+ */
+export function changedFields(payload, current) {
+    const changes = {};
+    for (const [field, value] of Object.entries(payload)) {
+        if (field === 'metadata') {
+            const metadata = Object.fromEntries(Object.entries(value || {})
+                .filter(([key, entry]) => normalize(entry) !== normalize((current.metadata || {})[key])));
+            if (Object.keys(metadata).length > 0) changes.metadata = metadata;
+        } else if (normalize(value) !== normalize(current[field])) {
+            changes[field] = value ?? '';
+        }
+    }
+    return changes;
+}
+
+function diffFields(oldObject, newObject, fields) {
+    return fields.flatMap(field => diffValue(field, oldObject[field], newObject[field]));
+}
+
+function diffMetadata(oldMetadata = {}, newMetadata = {}) {
+    return Object.entries(oldMetadata || {})
+        .flatMap(([key, value]) => diffValue(`metadata.${key}`, value, (newMetadata || {})[key]));
+}
+
+function diffTimestamp(field, expected, actual) {
+    if (expected && actual && Math.abs(expected - actual) <= PERIOD_TOLERANCE_SECONDS) return [];
+    return diffValue(field, expected, actual);
+}
+
+function diffValue(field, expected, actual) {
+    return normalize(expected) === normalize(actual) ? [] : [{ field, expected: expected ?? null, actual: actual ?? null }];
+}
+
+/**
+ * Comparable form of a value: null, undefined, empty strings and empty
+ * objects are the same, and object keys are sorted.
+ */
+function normalize(value) {
+    if (value === undefined || value === null || value === '') return 'null';
+    if (typeof value !== 'object') return JSON.stringify(value);
+    if (Array.isArray(value)) return `[${value.map(normalize).join(',')}]`;
+    const fields = Object.keys(value).sort()
+        .filter(key => normalize(value[key]) !== 'null')
+        .map(key => `${key}:${normalize(value[key])}`);
+    return fields.length > 0 ? `{${fields.join(',')}}` : 'null';
+}
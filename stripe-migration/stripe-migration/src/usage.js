@@ -0,0 +1,110 @@
+/**
+ * Metered billing helpers.
+ *
+ * Metered subscription items have no quantity; they bill the usage reported
+ * during the period. `carryOverUsage` copies the usage an old subscription
+ * has recorded in its current period to its replacement, so the first invoice
+ * in the new account still bills it:
+ *
+ * - prices with usage records get one usage record on the new item that sets
+ *   the period total
+ * - prices billed through a billing meter get one meter event: the
+ *   customer's total since the period started for `sum` meters, the latest
+ *   value for `last` meters. Other formulas (`count` counts events rather
+ *   than their values) cannot be carried over as one event; they are
+ *   reported as skipped.
+ */
+
+// Meter formulas whose period usage a single event can reproduce
+const CARRIED_FORMULAS = ['sum', 'last'];
+
+export function isMetered(price) {
+    return Boolean(price.recurring && price.recurring.usage_type === 'metered');
+}
+
+/**
+ * Create payload for a billing meter (meters carry no metadata).
+ */
+export function meterPayload(meter) {
+    const payload = {
+        display_name: meter.display_name,
+        event_name: meter.event_name,
+        default_aggregation: { formula: meter.default_aggregation.formula },
+        customer_mapping: meter.customer_mapping,
+        value_settings: meter.value_settings
+    };
+    if (meter.event_time_window) payload.event_time_window = meter.event_time_window;
+    return payload;
+}
+
+/**
+ * Copy the current-period usage of every metered item of `sub` (old account)
+ * to the matching item of `newSub`.
+ *
+ * `newPriceId(oldPriceId)` maps prices; `key` prefixes idempotency keys and
+ * meter event identifiers; `reported` is shared across calls so a customer's
+ * meter usage is only sent once when several of their subscriptions use the
+ * same meter; `request(fn)` wraps every API call (e.g. to retry).
+ * Returns `[{ item, usage }]` for the usage sent and `[{ item, reason }]` for
+ * metered items whose usage could not be carried over.
+ */
+export async function carryOverUsage({ oldStripe, newStripe, sub, newSub, newCustomerId, newPriceId, key, reported = new Set(), request = fn => fn() }) {
+    const results = [];
+    const now = Math.floor(Date.now() / 1000);
+
+    for (const item of sub.items.data.filter(item => isMetered(item.price))) {
+        const newItem = newSub.items.data.find(candidate => candidate.price.id === newPriceId(item.price.id));
+        if (!newItem) {
+            results.push({ item: item.id, reason: 'No matching item on the new subscription' });
+            continue;
+        }
+
+        const meterId = item.price.recurring.meter;
+        if (!meterId) {
+            const { data: [summary] } = await request(() => oldStripe.subscriptionItems.listUsageRecordSummaries(item.id, { limit: 1 }));
+            // An invoiced summary belongs to a closed period
+            if (!summary || summary.invoice || !summary.total_usage) continue;
+            await request(() => newStripe.subscriptionItems.createUsageRecord(newItem.id,
+                { quantity: summary.total_usage, timestamp: now, action: 'set' },
+                { idempotencyKey: `${key}:${item.id}:usage` }));
+            results.push({ item: item.id, usage: summary.total_usage });
+            continue;
+        }
+
+        const meter = await request(() => oldStripe.billing.meters.retrieve(meterId));
+        const formula = meter.default_aggregation.formula;
+        if (!CARRIED_FORMULAS.includes(formula)) {
+            results.push({ item: item.id, reason: `Meter ${meter.event_name} uses the ${formula} formula` });
+            continue;
+        }
+        if (reported.has(`${sub.customer}:${meterId}`)) {
+            results.push({ item: item.id, reason: `Usage of ${meter.event_name} already sent for this customer` });
+            continue;
+        }
+        reported.add(`${sub.customer}:${meterId}`);
+
+        // Event summaries are queried on minute boundaries
+        const minute = timestamp => timestamp - (timestamp % 60);
+        const { data: summaries } = await request(() => oldStripe.billing.meters.listEventSummaries(meterId, {
+            customer: sub.customer,
+            start_time: minute(sub.current_period_start),
+            end_time: minute(now)
+        }));
+        const latest = summaries.reduce((last, summary) => !last || summary.start_time > last.start_time ? summary : last, null);
+        const usage = formula === 'sum'
+            ? summaries.reduce((total, summary) => total + summary.aggregated_value, 0)
+            : latest && latest.aggregated_value;
+        if (!usage) continue;
+
+        await request(() => newStripe.billing.meterEvents.create({
+            event_name: meter.event_name,
+            identifier: `${key}:${sub.customer}:${meterId}`,
+            payload: {
+                [meter.customer_mapping.event_payload_key]: newCustomerId,
+                [meter.value_settings.event_payload_key]: String(usage)
+            }
+        }));
+        results.push({ item: item.id, usage });
+    }
+    return results;
+}
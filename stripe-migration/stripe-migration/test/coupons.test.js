@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StripeEmulator } from '../src/StripeEmulator.js';
+import { createMigrator, tempDir } from './helpers.js';
+
+const DAY = 24 * 60 * 60;
+
+function repeatingDiscount(daysLeft) {
+    return {
+        discount: {
+            id: 'di_old',
+            coupon: { id: 'SAVE20', duration: 'repeating', duration_in_months: 12, percent_off: 20, metadata: {} },
+            end: Math.floor(Date.now() / 1000) + daysLeft * DAY
+        }
+    };
+}
+
+function couponMigrator() {
+    const newStripe = new StripeEmulator({ account: 'new' });
+    const migrator = createMigrator(new StripeEmulator({ account: 'old' }), newStripe, tempDir());
+    migrator.getMigrationMap().set('coupons', 'SAVE20', 'SAVE20');
+    return { newStripe, migrator };
+}
+
+test('a repeating discount keeps its whole remaining months, rounded down, in its coupon ID and key', async () => {
+    const { newStripe, migrator } = couponMigrator();
+
+    const couponIds = await migrator.resolveDiscountCoupons(repeatingDiscount(45), migrator.getMigrationMap());
+
+    assert.deepEqual(couponIds, ['SAVE20_remaining_1m']);
+    assert.equal((await newStripe.coupons.retrieve('SAVE20_remaining_1m')).duration_in_months, 1);
+    assert.equal(migrator.getMigrationMap().get('coupons', 'SAVE20:remaining_1'), 'SAVE20_remaining_1m');
+
+    const [create] = newStripe.requests.filter(request => request.target === 'coupons.create');
+    assert.equal(create.options.idempotencyKey, `migrate:${migrator.runId}:SAVE20:remaining_1`);
+});
+
+test('a repeating discount with less than a month left is dropped', async () => {
+    const { newStripe, migrator } = couponMigrator();
+
+    const couponIds = await migrator.resolveDiscountCoupons(repeatingDiscount(20), migrator.getMigrationMap());
+
+    assert.deepEqual(couponIds, []);
+    assert.equal(newStripe.requests.filter(request => request.target === 'coupons.create').length, 0);
+});
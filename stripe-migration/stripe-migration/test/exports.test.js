@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StripeEmulator } from '../src/StripeEmulator.js';
+import { readExport } from '../src/exportFiles.js';
+import { createMigrator, createdCount, exportAll, migrateAll, seedOldAccount, tempDir } from './helpers.js';
+
+async function exportedIds(dir, name) {
+    const ids = [];
+    for await (const record of readExport(dir, name)) ids.push(record.id);
+    return ids;
+}
+
+for (const exportFormat of ['json', 'ndjson']) {
+    test(`an incremental ${exportFormat} export merges in only the new customers`, async () => {
+        const dir = tempDir();
+        const oldStripe = await seedOldAccount({ customers: 2 });
+        const newStripe = new StripeEmulator({ account: 'new' });
+        const migrator = createMigrator(oldStripe, newStripe, dir, { exportFormat });
+        await exportAll(migrator);
+        await migrateAll(migrator);
+        const { lastExportedAt } = migrator.getExportState().customers;
+
+        const added = await oldStripe.customers.create({ email: 'new@example.com' });
+        const count = await migrator.exportCustomers({ incremental: true });
+
+        const list = oldStripe.requests.filter(request => request.target === 'customers.list').pop();
+        assert.deepEqual(list.params.created, { gt: lastExportedAt - 60 });
+        assert.equal(count, 1);
+
+        const ids = await exportedIds(dir, 'customers');
+        assert.equal(ids.length, 3);
+        assert.equal(new Set(ids).size, 3);
+        assert.ok(ids.includes(added.id));
+
+        await migrator.migrateCustomers();
+        assert.equal(createdCount(newStripe, 'customers.create'), 3);
+        assert.ok(migrator.getMigrationMap().get('customers', added.id));
+    });
+}
+
+test('an incremental export needs a full export first', async () => {
+    const migrator = createMigrator(await seedOldAccount({ customers: 1 }), new StripeEmulator(), tempDir());
+    await assert.rejects(migrator.exportCustomers({ incremental: true }), /No previous customers export/);
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { StripeEmulator } from '../src/StripeEmulator.js';
+import { createMigrator, exportAll, mappedObjects, seedOldAccount, tempDir } from './helpers.js';
+
+async function migrateWithFailedCustomer(dir) {
+    const oldStripe = await seedOldAccount();
+    const newStripe = new StripeEmulator({ account: 'new' });
+    const migrator = createMigrator(oldStripe, newStripe, dir);
+    await exportAll(migrator);
+    await migrator.migrateProducts();
+
+    // The second customer create is rejected
+    newStripe.injectError('customers.create', 'invalid_request', { after: 1 });
+    await migrator.migrateCustomers();
+    return { oldStripe, newStripe, migrator };
+}
+
+test('failed creates are recorded in the ledger and cleared by retryFailed', async () => {
+    const dir = tempDir();
+    const { migrator } = await migrateWithFailedCustomer(dir);
+
+    const [failure] = migrator.getFailures();
+    assert.equal(migrator.getFailures().length, 1);
+    assert.equal(failure.type, 'customers');
+    assert.equal(failure.attempts, 1);
+    assert.equal(JSON.parse(fs.readFileSync(path.join(dir, 'failures.json'), 'utf8')).length, 1);
+
+    const remaining = await migrator.retryFailed();
+    assert.deepEqual(remaining, []);
+    assert.ok(migrator.getMigrationMap().get('customers', failure.oldId));
+});
+
+test('retryFailed uses a key of its own and maps the object before clearing the ledger', async () => {
+    const dir = tempDir();
+    const { oldStripe, newStripe, migrator } = await migrateWithFailedCustomer(dir);
+    const [failure] = migrator.getFailures();
+    const mapPath = path.join(dir, 'migration-map.json');
+
+    // What is on disk when the ledger record goes away is what a crash right after it leaves
+    let mapOnDisk;
+    const clearFailure = migrator.clearFailure.bind(migrator);
+    migrator.clearFailure = (type, oldId) => {
+        clearFailure(type, oldId);
+        if (oldId === failure.oldId) mapOnDisk = fs.readFileSync(mapPath, 'utf8');
+    };
+    await migrator.retryFailed();
+
+    const keys = newStripe.requests.filter(request => request.target === 'customers.create').map(request => request.options.idempotencyKey);
+    assert.equal(keys[keys.length - 1], `migrate:${migrator.runId}:${failure.oldId}:retry1`);
+
+    // Crash: the map as it was then, the ledger already cleared
+    fs.writeFileSync(mapPath, mapOnDisk);
+    const rerun = createMigrator(oldStripe, newStripe, dir);
+    await rerun.migrateCustomers();
+
+    assert.equal(newStripe.records('customers').size, 3);
+    assert.equal((await mappedObjects(rerun, newStripe, 'customers')).length, 3);
+});
+
+test('a retry after a connection error keeps the original key', async () => {
+    const dir = tempDir();
+    const oldStripe = await seedOldAccount({ customers: 1 });
+    const newStripe = new StripeEmulator({ account: 'new' });
+    const migrator = createMigrator(oldStripe, newStripe, dir, { maxRetries: 0 });
+    await exportAll(migrator);
+    newStripe.injectError('customers.create', 'connection');
+    await migrator.migrateCustomers();
+
+    const [failure] = migrator.getFailures();
+    assert.equal(failure.errorType, 'StripeConnectionError');
+    await migrator.retryFailed();
+
+    const keys = newStripe.requests.filter(request => request.target === 'customers.create').map(request => request.options.idempotencyKey);
+    assert.deepEqual(keys, [`migrate:${migrator.runId}:${failure.oldId}`, `migrate:${migrator.runId}:${failure.oldId}`]);
+});
@@ -0,0 +1,65 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { StripeEmulator } from '../src/StripeEmulator.js';
+import { StripeMigrator } from '../src/StripeMigrator.js';
+
+/**
+ * Shared fixtures: emulated accounts and migrators working in a temporary
+ * export directory.
+ */
+
+export function tempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'stripe-migrator-test-'));
+}
+
+/**
+ * An old account with one product, one monthly price and `customers`
+ * customers, each with an active paid subscription.
+ */
+export async function seedOldAccount({ customers = 3 } = {}) {
+    const oldStripe = new StripeEmulator({ account: 'old' });
+    const product = await oldStripe.products.create({ name: 'Pro' });
+    const price = await oldStripe.prices.create({ product: product.id, currency: 'usd', unit_amount: 1000, recurring: { interval: 'month' } });
+    for (let i = 0; i < customers; i++) {
+        const customer = await oldStripe.customers.create({ email: `customer${i}@example.com`, invoice_settings: { default_payment_method: 'pm_card_visa' } });
+        await oldStripe.subscriptions.create({ customer: customer.id, items: [{ price: price.id }] });
+    }
+    return oldStripe;
+}
+
+export function createMigrator(oldStripe, newStripe, exportPath, config = {}) {
+    return new StripeMigrator({ oldStripe, newStripe, exportPath, retryBaseDelay: 1, ...config });
+}
+
+export async function exportAll(migrator) {
+    await migrator.exportProducts();
+    await migrator.exportCustomers();
+    await migrator.exportSubscriptions();
+}
+
+export async function migrateAll(migrator, options = {}) {
+    await migrator.migrateProducts();
+    await migrator.migrateCustomers();
+    await migrator.migrateSubscriptions(options);
+}
+
+/**
+ * The new-account objects the map section points at that still exist.
+ */
+export async function mappedObjects(migrator, stripe, section) {
+    const objects = [];
+    for (const [, newId] of migrator.getMigrationMap().entries(section)) {
+        try {
+            const object = await stripe[section].retrieve(newId);
+            if (!object.deleted) objects.push(object);
+        } catch (error) {
+            if (error.statusCode !== 404) throw error;
+        }
+    }
+    return objects;
+}
+
+export function createdCount(stripe, target) {
+    return stripe.requests.filter(request => request.target === target).length;
+}
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { StripeEmulator } from '../src/StripeEmulator.js';
+import { createMigrator, createdCount, exportAll, migrateAll, seedOldAccount, tempDir } from './helpers.js';
+
+test('a rerun with the map skips everything already migrated', async () => {
+    const dir = tempDir();
+    const oldStripe = await seedOldAccount();
+    const newStripe = new StripeEmulator({ account: 'new' });
+    const migrator = createMigrator(oldStripe, newStripe, dir);
+    await exportAll(migrator);
+    await migrateAll(migrator);
+    const requests = newStripe.requests.length;
+
+    await migrateAll(createMigrator(oldStripe, newStripe, dir));
+
+    assert.equal(createdCount(newStripe, 'customers.create'), 3);
+    assert.equal(createdCount(newStripe, 'subscriptions.create'), 3);
+    assert.equal(newStripe.requests.length, requests);
+});
+
+test('a rerun after losing the map gets the same objects back from their idempotency keys', async () => {
+    const dir = tempDir();
+    const oldStripe = await seedOldAccount();
+    const newStripe = new StripeEmulator({ account: 'new' });
+    const migrator = createMigrator(oldStripe, newStripe, dir);
+    await exportAll(migrator);
+    await migrateAll(migrator);
+    const customers = Object.fromEntries(migrator.getMigrationMap().entries('customers'));
+    const subscriptions = Object.fromEntries(migrator.getMigrationMap().entries('subscriptions'));
+
+    fs.unlinkSync(path.join(dir, 'migration-map.json'));
+    const rerun = createMigrator(oldStripe, newStripe, dir);
+    await migrateAll(rerun);
+
+    assert.equal(rerun.runId, migrator.runId);
+    assert.deepEqual(Object.fromEntries(rerun.getMigrationMap().entries('customers')), customers);
+    assert.deepEqual(Object.fromEntries(rerun.getMigrationMap().entries('subscriptions')), subscriptions);
+    assert.equal(newStripe.records('customers').size, 3);
+    assert.equal(newStripe.records('subscriptions').size, 3);
+});
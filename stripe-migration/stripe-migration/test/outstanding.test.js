@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StripeEmulator } from '../src/StripeEmulator.js';
+import { createMigrator, exportAll, migrateAll, seedOldAccount, tempDir } from './helpers.js';
+
+/**
+ * An old account whose only subscription is past_due: its customer has no
+ * payment method, so an automatically collected invoice stays open.
+ */
+async function seedPastDue() {
+    const oldStripe = await seedOldAccount({ customers: 0 });
+    const { data: [price] } = await oldStripe.prices.list();
+    const customer = await oldStripe.customers.create({ email: 'late@example.com' });
+    const sub = await oldStripe.subscriptions.create({ customer: customer.id, items: [{ price: price.id }], collection_method: 'send_invoice', days_until_due: 30 });
+
+    await oldStripe.invoiceItems.create({ customer: customer.id, subscription: sub.id, amount: 2500, currency: 'usd' });
+    const draft = await oldStripe.invoices.create({ customer: customer.id, subscription: sub.id, collection_method: 'charge_automatically' });
+    const invoice = await oldStripe.invoices.finalizeInvoice(draft.id);
+    return { oldStripe, sub, invoice };
+}
+
+async function migratePastDue(mode, inject) {
+    const { oldStripe, sub, invoice } = await seedPastDue();
+    assert.equal((await oldStripe.subscriptions.retrieve(sub.id)).status, 'past_due');
+    assert.equal(invoice.status, 'open');
+
+    const newStripe = new StripeEmulator({ account: 'new' });
+    const migrator = createMigrator(oldStripe, newStripe, tempDir());
+    await exportAll(migrator);
+    if (inject) inject(oldStripe);
+    await migrateAll(migrator, { outstandingBalance: mode });
+    return { oldStripe, newStripe, migrator, sub, invoice };
+}
+
+test('an invoiced carry-over voids the old open invoice and maps it to the new invoice', async () => {
+    const { oldStripe, newStripe, migrator, sub, invoice } = await migratePastDue('invoice_item');
+
+    const newSub = await newStripe.subscriptions.retrieve(migrator.getMigrationMap().get('subscriptions', sub.id));
+    assert.equal(newSub.metadata.old_stripe_status, 'past_due');
+
+    const { data: [carried] } = await newStripe.invoices.list({ subscription: newSub.id });
+    assert.equal(carried.amount_due, 2500);
+    assert.equal(carried.metadata.old_stripe_invoice_ids, invoice.id);
+
+    assert.equal((await oldStripe.invoices.retrieve(invoice.id)).status, 'void');
+    assert.equal(migrator.getMigrationMap().get('carriedOverInvoices', invoice.id), carried.id);
+});
+
+test('a balance carry-over voids the old open invoice and maps it to the balance transaction', async () => {
+    const { oldStripe, newStripe, migrator, sub, invoice } = await migratePastDue('balance');
+
+    const newCustomer = await newStripe.customers.retrieve(migrator.getMigrationMap().get('customers', sub.customer));
+    assert.equal(newCustomer.balance, 2500);
+
+    assert.equal((await oldStripe.invoices.retrieve(invoice.id)).status, 'void');
+    assert.match(migrator.getMigrationMap().get('carriedOverInvoices', invoice.id), /^cbtxn_/);
+});
+
+test('an old invoice that cannot be voided stays open and unmapped', async () => {
+    const { oldStripe, migrator, sub, invoice } = await migratePastDue('invoice_item',
+        stripe => stripe.injectError('invoices.voidInvoice', 'invalid_request'));
+
+    assert.ok(migrator.getMigrationMap().get('subscriptions', sub.id));
+    assert.equal((await oldStripe.invoices.retrieve(invoice.id)).status, 'open');
+    assert.equal(migrator.getMigrationMap().get('carriedOverInvoices', invoice.id), undefined);
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { StripeEmulator } from '../src/StripeEmulator.js';
+import { createMigrator, exportAll, mappedObjects, migrateAll, seedOldAccount, tempDir } from './helpers.js';
+
+test('a rerun after a confirmed rollback creates new objects', async () => {
+    const dir = tempDir();
+    const oldStripe = await seedOldAccount();
+    const newStripe = new StripeEmulator({ account: 'new' });
+
+    const migrator = createMigrator(oldStripe, newStripe, dir);
+    await exportAll(migrator);
+    await migrateAll(migrator);
+    const firstRunId = migrator.runId;
+
+    const report = await migrator.rollback({ confirm: true });
+    assert.equal(report.summary.customers.delete, 3);
+    assert.equal(report.summary.subscriptions.cancel, 3);
+    assert.notEqual(report.nextRunId, firstRunId);
+
+    const run = JSON.parse(fs.readFileSync(path.join(dir, 'migration-run.json'), 'utf8'));
+    assert.equal(run.runId, report.nextRunId);
+    assert.deepEqual(run.rolledBack, [firstRunId]);
+
+    // A new migrator on the same export directory, as a rerun of the scripts would be
+    const rerun = createMigrator(oldStripe, newStripe, dir);
+    assert.equal(rerun.runId, report.nextRunId);
+    await migrateAll(rerun);
+
+    assert.equal(rerun.getFailures().length, 0);
+    assert.equal((await mappedObjects(rerun, newStripe, 'customers')).length, 3);
+    const subscriptions = await mappedObjects(rerun, newStripe, 'subscriptions');
+    assert.equal(subscriptions.length, 3);
+    assert.ok(subscriptions.every(sub => sub.status !== 'canceled' && sub.metadata.migration_run_id === rerun.runId));
+});
+
+test('a previewed rollback keeps the run ID', async () => {
+    const dir = tempDir();
+    const oldStripe = await seedOldAccount({ customers: 1 });
+    const migrator = createMigrator(oldStripe, new StripeEmulator({ account: 'new' }), dir);
+    await exportAll(migrator);
+    await migrateAll(migrator);
+    const runId = migrator.runId;
+
+    const report = await migrator.rollback();
+    assert.equal(report.nextRunId, undefined);
+    assert.equal(createMigrator(oldStripe, new StripeEmulator(), dir).runId, runId);
+});
+
+test('a rolled back run ID is refused', async () => {
+    const dir = tempDir();
+    const oldStripe = await seedOldAccount({ customers: 1 });
+    const newStripe = new StripeEmulator({ account: 'new' });
+    const migrator = createMigrator(oldStripe, newStripe, dir, { runId: 'run-1' });
+    await exportAll(migrator);
+    await migrateAll(migrator);
+    await migrator.rollback({ confirm: true });
+
+    assert.throws(() => createMigrator(oldStripe, newStripe, dir, { runId: 'run-1' }), /Run run-1 was rolled back/);
+    assert.equal(createMigrator(oldStripe, newStripe, dir, { runId: 'run-2' }).runId, 'run-2');
+});
+
+test('rollback with a runId skips objects without a run tag', async () => {
+    const dir = tempDir();
+    const oldStripe = await seedOldAccount({ customers: 2 });
+    const newStripe = new StripeEmulator({ account: 'new' });
+    const migrator = createMigrator(oldStripe, newStripe, dir);
+    await exportAll(migrator);
+    await migrateAll(migrator);
+
+    const [[oldId, newId]] = migrator.getMigrationMap().entries('customers');
+    delete newStripe.records('customers').get(newId).metadata.migration_run_id;
+
+    const report = await migrator.rollback({ types: ['customers'], runId: migrator.runId });
+    assert.deepEqual(report.actions.find(action => action.oldId === oldId), { type: 'customers', oldId, newId, action: 'skip', reason: 'No run tag' });
+    assert.equal(report.summary.customers.delete, 1);
+});